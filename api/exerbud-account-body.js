@@ -0,0 +1,135 @@
+// ======================================================================
+// EXERBUD ACCOUNT BODY METRICS API
+// - GET    ?days=90&units=metric|imperial
+//          → entries + per-field trends (first / latest / change)
+// - POST   { weight?, bodyFatPct?, waist?, hip?, chest?, arm?,
+//            weightUnit?, lengthUnit?, measuredAt?, notes? } → manual entry
+// - DELETE ?metricId=...                                   → remove an entry
+// ======================================================================
+
+const {
+  normalizeBodyMetric,
+  toUnitSystem,
+  computeTrends,
+} = require("../lib/exerbudBodyMetrics");
+const { createHandler, HttpError } = require("../lib/exerbudHttp");
+
+const DEFAULT_DAYS = 90;
+const MAX_DAYS = 730;
+
+module.exports = createHandler({
+  name: "exerbud-account-body",
+  methods: ["GET", "POST", "DELETE"],
+  auth: "user",
+  query: {
+    GET: {
+      units: { type: "string", enum: ["metric", "imperial"] },
+    },
+    DELETE: {
+      metricId: { type: "string", required: true, missing: "missing_metric_id" },
+    },
+  },
+  body: {
+    POST: {
+      measuredAt: { type: "string" },
+      notes: { type: "string", maxLength: 2000 },
+    },
+  },
+  async handler(req, res, { prisma, user, query, body }) {
+    // --------------------------------------------------------------
+    // GET: entries + trends
+    // --------------------------------------------------------------
+    if (req.method === "GET") {
+      const units = query.get("units") === "imperial" ? "imperial" : "metric";
+      const daysRaw = parseInt(query.get("days"), 10);
+      const days =
+        Number.isNaN(daysRaw) || daysRaw <= 0
+          ? DEFAULT_DAYS
+          : Math.min(daysRaw, MAX_DAYS);
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+      const rows = await prisma.bodyMetric.findMany({
+        where: { userId: user.id, measuredAt: { gte: since } },
+        orderBy: { measuredAt: "asc" },
+      });
+
+      const entries = rows.map((r) => toUnitSystem(r, units));
+
+      return res.status(200).json({
+        ok: true,
+        units,
+        days,
+        entries,
+        trends: computeTrends(entries),
+      });
+    }
+
+    // --------------------------------------------------------------
+    // POST: manual entry
+    // --------------------------------------------------------------
+    if (req.method === "POST") {
+      const { metric, error, field } = normalizeBodyMetric(body);
+      if (error === "out_of_range") {
+        throw new HttpError(
+          400,
+          error,
+          `${field} is not a plausible value`,
+          { field }
+        );
+      }
+      if (error) {
+        throw new HttpError(400, error, "Invalid measurement");
+      }
+
+      let measuredAt = new Date();
+      if (body.measuredAt) {
+        measuredAt = new Date(body.measuredAt);
+        if (isNaN(measuredAt.getTime()) || measuredAt > new Date()) {
+          throw new HttpError(
+            400,
+            "invalid_measured_at",
+            "measuredAt must be a date in the past"
+          );
+        }
+      }
+
+      const row = await prisma.bodyMetric.create({
+        data: {
+          userId: user.id,
+          source: "manual",
+          measuredAt,
+          notes:
+            body.notes && body.notes.trim()
+              ? body.notes.trim().slice(0, 500)
+              : null,
+          ...metric,
+        },
+      });
+
+      console.log(
+        "[Exerbud] exerbud-account-body: saved manual entry",
+        row.id,
+        "for user",
+        user.id
+      );
+
+      return res.status(200).json({
+        ok: true,
+        entry: toUnitSystem(row, row.weightUnit === "lb" ? "imperial" : "metric"),
+      });
+    }
+
+    // --------------------------------------------------------------
+    // DELETE
+    // --------------------------------------------------------------
+    const deleted = await prisma.bodyMetric.deleteMany({
+      where: { id: query.get("metricId"), userId: user.id },
+    });
+
+    if (!deleted.count) {
+      throw new HttpError(404, "metric_not_found", "Entry not found");
+    }
+
+    return res.status(200).json({ ok: true, deleted: true });
+  },
+});
@@ -0,0 +1,122 @@
+// ======================================================================
+// EXERBUD ACCOUNT CONVERSATION API
+// - Rename / archive / unarchive / delete a conversation in the drawer
+// ======================================================================
+
+const { createHandler, HttpError } = require("../lib/exerbudHttp");
+
+const SUPPORTED_ACTIONS = ["rename", "archive", "unarchive", "delete"];
+const MAX_TITLE_LENGTH = 120;
+
+module.exports = createHandler({
+  name: "exerbud-account-conversation",
+  methods: ["POST"],
+  auth: "user",
+  body: {
+    action: {
+      type: "string",
+      required: true,
+      enum: SUPPORTED_ACTIONS,
+      missing: "unsupported_action",
+      invalid: "unsupported_action",
+    },
+    conversationId: {
+      type: "string",
+      required: true,
+      missing: "missing_conversation_id",
+    },
+    title: { type: "string" },
+  },
+  async handler(req, res, { prisma, user, body }) {
+    const { action, conversationId } = body;
+
+    let title = null;
+    if (action === "rename") {
+      title = (body.title || "").trim().slice(0, MAX_TITLE_LENGTH);
+      if (!title) {
+        throw new HttpError(400, "missing_title", "title is required");
+      }
+    }
+
+    // --------------------------------------------------------------
+    // Ensure the conversation belongs to this user
+    // --------------------------------------------------------------
+    const conversation = await prisma.conversation.findFirst({
+      where: {
+        id: conversationId,
+        userId: user.id,
+      },
+      select: { id: true },
+    });
+
+    if (!conversation) {
+      console.log(
+        "[Exerbud] exerbud-account-conversation: conversation not found or not owned by user",
+        conversationId
+      );
+      throw new HttpError(404, "conversation_not_found", "Conversation not found");
+    }
+
+    // --------------------------------------------------------------
+    // Execute action
+    // --------------------------------------------------------------
+    if (action === "rename") {
+      await prisma.conversation.update({
+        where: { id: conversation.id },
+        // Lock the title so automatic titles never overwrite it
+        data: { title, titleSetByUser: true },
+      });
+
+      console.log(
+        "[Exerbud] exerbud-account-conversation: renamed conversation",
+        conversation.id
+      );
+
+      return res.status(200).json({ ok: true, renamed: true, title });
+    }
+
+    if (action === "archive" || action === "unarchive") {
+      const endedAt = action === "archive" ? new Date() : null;
+
+      await prisma.conversation.update({
+        where: { id: conversation.id },
+        data: { endedAt },
+      });
+
+      console.log(
+        "[Exerbud] exerbud-account-conversation:",
+        action,
+        "conversation",
+        conversation.id
+      );
+
+      return res.status(200).json({
+        ok: true,
+        archived: action === "archive",
+        endedAt,
+      });
+    }
+
+    // delete: messages + their hide/pin rows go with the thread. Uploads
+    // and ProgressEvents are kept (FK is SET NULL) so weekly stats survive.
+    const messageScope = { message: { conversationId: conversation.id } };
+
+    await prisma.$transaction([
+      prisma.hiddenMessage.deleteMany({ where: messageScope }),
+      prisma.pinnedMessage.deleteMany({ where: messageScope }),
+      prisma.message.deleteMany({
+        where: { conversationId: conversation.id },
+      }),
+      prisma.conversation.delete({ where: { id: conversation.id } }),
+    ]);
+
+    console.log(
+      "[Exerbud] exerbud-account-conversation: deleted conversation",
+      conversation.id,
+      "for user",
+      user.id
+    );
+
+    return res.status(200).json({ ok: true, deleted: true });
+  },
+});
@@ -0,0 +1,142 @@
+// ======================================================================
+// EXERBUD ACCOUNT NUTRITION API
+// - GET    ?from=YYYY-MM-DD&to=YYYY-MM-DD&tz=America/New_York
+//          → meal_log events + per-day / per-week calorie & macro totals
+// - PATCH  { eventId, meal: { items: [...] } } → correct a logged meal
+// - DELETE ?eventId=...                        → remove a logged meal
+// ======================================================================
+
+const { normalizeMeal } = require("../lib/exerbudMealScan");
+const {
+  MAX_RANGE_DAYS,
+  resolveTimeZone,
+  resolveDayRange,
+  summarizeMealEvents,
+} = require("../lib/exerbudNutrition");
+const { createHandler, HttpError } = require("../lib/exerbudHttp");
+
+module.exports = createHandler({
+  name: "exerbud-account-nutrition",
+  methods: ["GET", "PATCH", "DELETE"],
+  auth: "user",
+  query: {
+    DELETE: {
+      eventId: { type: "string", required: true, missing: "missing_event_id" },
+    },
+  },
+  body: {
+    PATCH: {
+      eventId: { type: "string", required: true, missing: "missing_event_id" },
+      meal: { type: "object", required: true, missing: "invalid_meal" },
+    },
+  },
+  async handler(req, res, { prisma, user, query, body }) {
+    // --------------------------------------------------------------
+    // GET: meals + totals for the range
+    // --------------------------------------------------------------
+    if (req.method === "GET") {
+      const timeZone = resolveTimeZone(query.get("tz"));
+      const range = resolveDayRange({
+        from: query.get("from"),
+        to: query.get("to"),
+        timeZone,
+      });
+
+      if (range.error) {
+        throw new HttpError(
+          400,
+          range.error,
+          `from / to must be YYYY-MM-DD dates, from not after to, at most ${MAX_RANGE_DAYS} days apart`
+        );
+      }
+
+      const events = await prisma.progressEvent.findMany({
+        where: {
+          userId: user.id,
+          type: "meal_log",
+          createdAt: { gte: range.gte, lte: range.lte },
+        },
+        orderBy: { createdAt: "asc" },
+        select: {
+          id: true,
+          payload: true,
+          createdAt: true,
+          conversationId: true,
+          messageId: true,
+        },
+      });
+
+      const { meals, days, weeks } = summarizeMealEvents(events, {
+        timeZone,
+        fromKey: range.fromKey,
+        toKey: range.toKey,
+      });
+
+      return res.status(200).json({
+        ok: true,
+        timeZone,
+        from: range.fromKey,
+        to: range.toKey,
+        meals,
+        days,
+        weeks,
+      });
+    }
+
+    // --------------------------------------------------------------
+    // PATCH / DELETE: one meal owned by this user
+    // --------------------------------------------------------------
+    const eventId = body.eventId || query.get("eventId");
+
+    const event = await prisma.progressEvent.findFirst({
+      where: { id: eventId, userId: user.id, type: "meal_log" },
+      select: { id: true, payload: true },
+    });
+
+    if (!event) {
+      throw new HttpError(404, "meal_not_found", "Meal not found");
+    }
+
+    if (req.method === "DELETE") {
+      await prisma.progressEvent.delete({ where: { id: event.id } });
+
+      console.log(
+        "[Exerbud] exerbud-account-nutrition: deleted meal",
+        event.id,
+        "for user",
+        user.id
+      );
+
+      return res.status(200).json({ ok: true, deleted: true });
+    }
+
+    const meal = normalizeMeal({
+      confidence: 1, // user-corrected
+      ...body.meal,
+    });
+
+    if (!meal) {
+      throw new HttpError(400, "invalid_meal", "meal has no valid items");
+    }
+
+    const payload = {
+      ...(event.payload && typeof event.payload === "object" ? event.payload : {}),
+      meal,
+      editedAt: new Date().toISOString(),
+    };
+
+    await prisma.progressEvent.update({
+      where: { id: event.id },
+      data: { payload },
+    });
+
+    console.log(
+      "[Exerbud] exerbud-account-nutrition: updated meal",
+      event.id,
+      "for user",
+      user.id
+    );
+
+    return res.status(200).json({ ok: true, eventId: event.id, meal });
+  },
+});
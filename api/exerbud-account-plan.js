@@ -0,0 +1,41 @@
+// ======================================================================
+// EXERBUD ACCOUNT PLAN API
+// - GET             → the user's active WorkoutPlan
+// - GET ?planId=... → a specific plan of theirs
+// Also lists recent plans so the widget can offer older programs.
+// ======================================================================
+
+const { serializePlan } = require("../lib/exerbudWorkoutPlan");
+const { createHandler } = require("../lib/exerbudHttp");
+
+module.exports = createHandler({
+  name: "exerbud-account-plan",
+  methods: ["GET"],
+  auth: "user",
+  async handler(req, res, { prisma, user, query }) {
+    const planId = query.get("planId");
+
+    const plan = await prisma.workoutPlan.findFirst({
+      where: planId
+        ? { id: planId, userId: user.id }
+        : { userId: user.id, status: "active" },
+      orderBy: { createdAt: "desc" },
+    });
+
+    const recentPlans = await prisma.workoutPlan.findMany({
+      where: { userId: user.id },
+      orderBy: { createdAt: "desc" },
+      take: 10,
+      select: { id: true, title: true, status: true, createdAt: true },
+    });
+
+    return res.status(200).json({
+      ok: true,
+      plan: serializePlan(plan),
+      recentPlans: recentPlans.map((p) => ({
+        ...p,
+        createdAt: new Date(p.createdAt).toISOString(),
+      })),
+    });
+  },
+});
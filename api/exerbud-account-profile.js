@@ -0,0 +1,172 @@
+// ======================================================================
+// EXERBUD ACCOUNT PROFILE API ("What Exerbud knows about you")
+// - GET                                   → current profile memory
+// - PUT    { fields... }                  → edit individual fields
+// - DELETE ?field=equipment | ?noteId=... → forget one fact
+// - DELETE (no field / noteId)            → wipe remembered facts + notes
+//   (calorie / macro targets from /api/exerbud-account-targets are kept)
+// ======================================================================
+
+const {
+  COLUMN_FIELDS,
+  DATA_FIELDS,
+  cleanValue,
+  normalizeData,
+  serializeProfileMemory,
+} = require("../lib/exerbudMemory");
+const { createHandler, HttpError } = require("../lib/exerbudHttp");
+
+const EDITABLE_FIELDS = [...COLUMN_FIELDS, ...DATA_FIELDS];
+
+module.exports = createHandler({
+  name: "exerbud-account-profile",
+  methods: ["GET", "PUT", "DELETE"],
+  auth: "user",
+  query: {
+    DELETE: {
+      field: {
+        type: "string",
+        enum: EDITABLE_FIELDS,
+        invalid: "unsupported_field",
+      },
+    },
+  },
+  body: {
+    PUT: {
+      profile: { type: "object" },
+    },
+  },
+  async handler(req, res, { prisma, user, query, body }) {
+    const memory = await prisma.userProfileMemory.findUnique({
+      where: { userId: user.id },
+    });
+
+    // --------------------------------------------------------------
+    // GET
+    // --------------------------------------------------------------
+    if (req.method === "GET") {
+      return res.status(200).json({
+        ok: true,
+        profile: serializeProfileMemory(memory),
+      });
+    }
+
+    // --------------------------------------------------------------
+    // PUT: set / clear individual fields ("" or null clears)
+    // --------------------------------------------------------------
+    if (req.method === "PUT") {
+      const fields = body.profile || body;
+
+      const columnChanges = {};
+      const data = normalizeData(memory && memory.data);
+      let touched = false;
+
+      EDITABLE_FIELDS.forEach((field) => {
+        if (!(field in fields)) return;
+        const value = cleanValue(fields[field]);
+        if (COLUMN_FIELDS.includes(field)) {
+          columnChanges[field] = value;
+        } else {
+          data[field] = value;
+        }
+        touched = true;
+      });
+
+      if (!touched) {
+        throw new HttpError(
+          400,
+          "no_editable_fields",
+          `Send at least one of: ${EDITABLE_FIELDS.join(", ")}`
+        );
+      }
+
+      const changes = { ...columnChanges, data };
+      const saved = await prisma.userProfileMemory.upsert({
+        where: { userId: user.id },
+        update: changes,
+        create: { userId: user.id, ...changes },
+      });
+
+      console.log(
+        "[Exerbud] exerbud-account-profile: updated fields for user",
+        user.id
+      );
+
+      return res.status(200).json({
+        ok: true,
+        profile: serializeProfileMemory(saved),
+      });
+    }
+
+    // --------------------------------------------------------------
+    // DELETE: one fact, or everything
+    // --------------------------------------------------------------
+    const field = query.get("field");
+    const noteId = query.get("noteId");
+
+    if (!field && !noteId) {
+      const targets = memory && normalizeData(memory.data).targets;
+      let saved = null;
+
+      // Targets are calculator output, not something Exerbud "knows"
+      if (targets) {
+        const cleared = {};
+        COLUMN_FIELDS.forEach((f) => {
+          cleared[f] = null;
+        });
+        saved = await prisma.userProfileMemory.update({
+          where: { userId: user.id },
+          data: { ...cleared, data: { targets } },
+        });
+      } else {
+        await prisma.userProfileMemory.deleteMany({
+          where: { userId: user.id },
+        });
+      }
+
+      console.log(
+        "[Exerbud] exerbud-account-profile: wiped memory for user",
+        user.id
+      );
+
+      return res.status(200).json({
+        ok: true,
+        wiped: true,
+        profile: serializeProfileMemory(saved),
+      });
+    }
+
+    if (!memory) {
+      throw new HttpError(404, "memory_not_found", "Nothing remembered yet");
+    }
+
+    const data = normalizeData(memory.data);
+    const changes = {};
+
+    if (field) {
+      if (COLUMN_FIELDS.includes(field)) {
+        changes[field] = null;
+      } else {
+        data[field] = null;
+      }
+    }
+
+    if (noteId) {
+      const before = data.notes.length;
+      data.notes = data.notes.filter((n) => n.id !== noteId);
+      if (data.notes.length === before) {
+        throw new HttpError(404, "note_not_found", "Note not found");
+      }
+    }
+
+    const saved = await prisma.userProfileMemory.update({
+      where: { userId: user.id },
+      data: { ...changes, data },
+    });
+
+    return res.status(200).json({
+      ok: true,
+      profile: serializeProfileMemory(saved),
+    });
+  },
+});
@@ -0,0 +1,108 @@
+// ======================================================================
+// EXERBUD ACCOUNT TARGETS API (calorie + macro calculator)
+// - GET                               → stored inputs + targets
+// - POST { age, sex, weightKg|weightLb, heightCm|heightIn,
+//          activityLevel, goal }      → recalculate + store
+//   Missing inputs fall back to the last stored ones, so the widget can
+//   send just { weightKg } after a weigh-in.
+// ======================================================================
+
+const { normalizeData } = require("../lib/exerbudMemory");
+const {
+  ACTIVITY_MULTIPLIERS,
+  GOAL_SETTINGS,
+  normalizeTargetInputs,
+  buildTargetsRecord,
+} = require("../lib/exerbudTargets");
+const { createHandler, HttpError } = require("../lib/exerbudHttp");
+
+const INPUT_KEYS = [
+  "age",
+  "sex",
+  "weightKg",
+  "weightLb",
+  "heightCm",
+  "heightIn",
+  "activityLevel",
+  "goal",
+];
+
+module.exports = createHandler({
+  name: "exerbud-account-targets",
+  methods: ["GET", "POST"],
+  auth: "user",
+  body: {
+    POST: {
+      // Same error codes as normalizeTargetInputs
+      age: { type: "numeric", invalid: "invalid_age" },
+      weightKg: { type: "numeric", invalid: "invalid_weight" },
+      weightLb: { type: "numeric", invalid: "invalid_weight" },
+      heightCm: { type: "numeric", invalid: "invalid_height" },
+      heightIn: { type: "numeric", invalid: "invalid_height" },
+      activityLevel: {
+        type: "string",
+        enum: Object.keys(ACTIVITY_MULTIPLIERS),
+        invalid: "invalid_activity_level",
+      },
+      goal: {
+        type: "string",
+        enum: Object.keys(GOAL_SETTINGS),
+        invalid: "invalid_goal",
+      },
+    },
+  },
+  async handler(req, res, { prisma, user, body }) {
+    const memory = await prisma.userProfileMemory.findUnique({
+      where: { userId: user.id },
+    });
+    const data = normalizeData(memory && memory.data);
+
+    if (req.method === "GET") {
+      return res.status(200).json({
+        ok: true,
+        targets: data.targets || null,
+        options: {
+          activityLevels: Object.keys(ACTIVITY_MULTIPLIERS),
+          goals: Object.keys(GOAL_SETTINGS),
+        },
+      });
+    }
+
+    // --------------------------------------------------------------
+    // POST: merge new inputs over stored ones, recalculate, store
+    // --------------------------------------------------------------
+    const provided = {};
+    INPUT_KEYS.forEach((key) => {
+      if (body[key] !== undefined && body[key] !== null && body[key] !== "") {
+        provided[key] = body[key];
+      }
+    });
+
+    // A new imperial value must win over the stored metric one
+    const stored = { ...((data.targets && data.targets.inputs) || {}) };
+    if ("weightLb" in provided) delete stored.weightKg;
+    if ("heightIn" in provided) delete stored.heightCm;
+
+    const { inputs, error } = normalizeTargetInputs({ ...stored, ...provided });
+
+    if (error) {
+      throw new HttpError(400, error, "Invalid calculator inputs");
+    }
+
+    const targets = buildTargetsRecord(inputs);
+    const nextData = { ...data, targets };
+
+    await prisma.userProfileMemory.upsert({
+      where: { userId: user.id },
+      update: { data: nextData },
+      create: { userId: user.id, data: nextData },
+    });
+
+    console.log(
+      "[Exerbud] exerbud-account-targets: recalculated targets for user",
+      user.id
+    );
+
+    return res.status(200).json({ ok: true, targets });
+  },
+});
@@ -0,0 +1,111 @@
+// ======================================================================
+// EXERBUD ACCOUNT UPLOADS API (photo gallery)
+// - GET    ?workflow=food_scan|body_scan
+//          &from=YYYY-MM-DD&to=YYYY-MM-DD&cursor=...&limit=24
+//          → newest first; pass `nextCursor` back as `cursor` for more
+// - DELETE ?uploadId=...   → remove the row + its stored file
+// ======================================================================
+
+const {
+  findAnalysisMessages,
+  serializeUpload,
+  deleteUpload,
+} = require("../lib/exerbudUploads");
+const { createHandler, HttpError } = require("../lib/exerbudHttp");
+
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 60;
+const UPLOAD_WORKFLOWS = ["food_scan", "body_scan", "fitness_plan"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "YYYY-MM-DD" (UTC day) or any ISO timestamp; `to` days are inclusive
+function parseDateParam(value, endOfDay) {
+  if (!value) return null;
+  const isDay = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(isDay ? `${value}T00:00:00Z` : value);
+  if (isNaN(date.getTime())) return undefined;
+  return isDay && endOfDay ? new Date(date.getTime() + DAY_MS - 1) : date;
+}
+
+module.exports = createHandler({
+  name: "exerbud-account-uploads",
+  methods: ["GET", "DELETE"],
+  auth: "user",
+  query: {
+    GET: {
+      workflow: { type: "string", enum: UPLOAD_WORKFLOWS },
+    },
+    DELETE: {
+      uploadId: { type: "string", required: true, missing: "missing_upload_id" },
+    },
+  },
+  async handler(req, res, { prisma, user, query }) {
+    // --------------------------------------------------------------
+    // DELETE
+    // --------------------------------------------------------------
+    if (req.method === "DELETE") {
+      const uploadId = query.get("uploadId");
+      const deleted = await deleteUpload({ userId: user.id, uploadId });
+
+      if (!deleted) {
+        throw new HttpError(404, "upload_not_found", "Upload not found");
+      }
+
+      console.log(
+        "[Exerbud] exerbud-account-uploads: deleted upload",
+        uploadId,
+        "for user",
+        user.id
+      );
+
+      return res.status(200).json({ ok: true, deleted: true });
+    }
+
+    // --------------------------------------------------------------
+    // GET: one page of the gallery
+    // --------------------------------------------------------------
+    const workflow = query.get("workflow");
+    const from = parseDateParam(query.get("from"), false);
+    const to = parseDateParam(query.get("to"), true);
+    if (from === undefined || to === undefined || (from && to && from > to)) {
+      throw new HttpError(
+        400,
+        "invalid_date_range",
+        "from / to must be dates, with from before to"
+      );
+    }
+
+    const limitRaw = parseInt(query.get("limit"), 10);
+    const limit =
+      Number.isNaN(limitRaw) || limitRaw <= 0
+        ? DEFAULT_LIMIT
+        : Math.min(limitRaw, MAX_LIMIT);
+    const cursor = query.get("cursor");
+
+    const where = { userId: user.id };
+    if (workflow) where.workflow = workflow;
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt.gte = from;
+      if (to) where.createdAt.lte = to;
+    }
+
+    const rows = await prisma.upload.findMany({
+      where,
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      take: limit + 1,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    const analyses = await findAnalysisMessages(page);
+
+    return res.status(200).json({
+      ok: true,
+      items: page.map((u) => serializeUpload(u, analyses.get(u.id))),
+      nextCursor: hasMore ? page[page.length - 1].id : null,
+      hasMore,
+    });
+  },
+});
@@ -0,0 +1,285 @@
+// ======================================================================
+// EXERBUD ACCOUNT WORKOUT API (session + set logging)
+// - GET  → recent sessions with their sets
+// - POST { action: "start", planId?, planDayId?, name? }
+// - POST { action: "log_set", sessionId, exercise, weight?, weightUnit?, reps?, rpe? }
+// - POST { action: "finish", sessionId, notes? } → also records a
+//   workout_session ProgressEvent for the weekly summary
+// ======================================================================
+
+const { createHandler, HttpError } = require("../lib/exerbudHttp");
+
+const SUPPORTED_ACTIONS = ["start", "log_set", "finish"];
+const WEIGHT_UNITS = ["kg", "lb"];
+const RECENT_SESSIONS = 20;
+
+function optionalNumber(value, { min, max, integer = false }) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max) return undefined;
+  if (integer && !Number.isInteger(n)) return undefined;
+  return n;
+}
+
+function optionalText(value, max) {
+  if (typeof value !== "string") return null;
+  const s = value.trim();
+  return s ? s.slice(0, max) : null;
+}
+
+function planHasDay(plan, planDayId) {
+  const weeks = Array.isArray(plan.weeks) ? plan.weeks : [];
+  return weeks.some(
+    (w) => Array.isArray(w.days) && w.days.some((d) => d.id === planDayId)
+  );
+}
+
+function serializeSession(session) {
+  return {
+    id: session.id,
+    name: session.name,
+    notes: session.notes,
+    planId: session.planId,
+    planDayId: session.planDayId,
+    startedAt: new Date(session.startedAt).toISOString(),
+    finishedAt: session.finishedAt
+      ? new Date(session.finishedAt).toISOString()
+      : null,
+    sets: (session.sets || []).map((s) => ({
+      id: s.id,
+      exercise: s.exercise,
+      setNumber: s.setNumber,
+      weight: s.weight,
+      weightUnit: s.weightUnit,
+      reps: s.reps,
+      rpe: s.rpe,
+      createdAt: new Date(s.createdAt).toISOString(),
+    })),
+  };
+}
+
+// Summary stored on the ProgressEvent when a session is finished
+function buildSessionSummary(session, finishedAt) {
+  const sets = session.sets || [];
+  const exercises = Array.from(new Set(sets.map((s) => s.exercise)));
+
+  // Volume per unit so kg and lb are never mixed
+  const volume = {};
+  sets.forEach((s) => {
+    if (typeof s.weight === "number" && typeof s.reps === "number") {
+      volume[s.weightUnit] = (volume[s.weightUnit] || 0) + s.weight * s.reps;
+    }
+  });
+
+  return {
+    sessionId: session.id,
+    planId: session.planId,
+    planDayId: session.planDayId,
+    name: session.name,
+    setsCount: sets.length,
+    exercises,
+    volume,
+    durationMinutes: Math.round(
+      (finishedAt.getTime() - new Date(session.startedAt).getTime()) / 60000
+    ),
+  };
+}
+
+module.exports = createHandler({
+  name: "exerbud-account-workout",
+  methods: ["GET", "POST"],
+  auth: "user",
+  body: {
+    action: {
+      type: "string",
+      required: true,
+      enum: SUPPORTED_ACTIONS,
+      missing: "unsupported_action",
+      invalid: "unsupported_action",
+    },
+    planId: { type: "string" },
+    sessionId: { type: "string" },
+  },
+  async handler(req, res, { prisma, user, body }) {
+    // --------------------------------------------------------------
+    // GET: recent sessions
+    // --------------------------------------------------------------
+    if (req.method === "GET") {
+      const sessions = await prisma.workoutSession.findMany({
+        where: { userId: user.id },
+        orderBy: { startedAt: "desc" },
+        take: RECENT_SESSIONS,
+        include: { sets: { orderBy: { createdAt: "asc" } } },
+      });
+
+      return res.status(200).json({
+        ok: true,
+        sessions: sessions.map(serializeSession),
+      });
+    }
+
+    const action = body.action;
+
+    // --------------------------------------------------------------
+    // start
+    // --------------------------------------------------------------
+    if (action === "start") {
+      const planId = body.planId || null;
+      const planDayId = optionalText(body.planDayId, 20);
+
+      if (planId) {
+        const plan = await prisma.workoutPlan.findFirst({
+          where: { id: planId, userId: user.id },
+          select: { id: true, weeks: true },
+        });
+        if (!plan) {
+          throw new HttpError(404, "plan_not_found", "Plan not found");
+        }
+        if (planDayId && !planHasDay(plan, planDayId)) {
+          throw new HttpError(
+            404,
+            "plan_day_not_found",
+            "Plan day not found in this plan"
+          );
+        }
+      } else if (planDayId) {
+        throw new HttpError(
+          400,
+          "missing_plan_id",
+          "planId is required with planDayId"
+        );
+      }
+
+      const session = await prisma.workoutSession.create({
+        data: {
+          userId: user.id,
+          planId,
+          planDayId,
+          name: optionalText(body.name, 80),
+        },
+        include: { sets: true },
+      });
+
+      console.log(
+        "[Exerbud] exerbud-account-workout: started session",
+        session.id,
+        "for user",
+        user.id
+      );
+
+      return res.status(200).json({ ok: true, session: serializeSession(session) });
+    }
+
+    // --------------------------------------------------------------
+    // log_set / finish: need a session owned by this user
+    // --------------------------------------------------------------
+    if (!body.sessionId) {
+      throw new HttpError(400, "missing_session_id", "sessionId is required");
+    }
+
+    const session = await prisma.workoutSession.findFirst({
+      where: { id: body.sessionId, userId: user.id },
+      include: { sets: { orderBy: { createdAt: "asc" } } },
+    });
+
+    if (!session) {
+      throw new HttpError(404, "session_not_found", "Session not found");
+    }
+
+    if (action === "log_set") {
+      if (session.finishedAt) {
+        throw new HttpError(
+          409,
+          "session_finished",
+          "Session is already finished"
+        );
+      }
+
+      const exercise = optionalText(body.exercise, 120);
+      const weight = optionalNumber(body.weight, { min: 0, max: 2000 });
+      const reps = optionalNumber(body.reps, { min: 0, max: 1000, integer: true });
+      const rpe = optionalNumber(body.rpe, { min: 1, max: 10 });
+      const weightUnit = body.weightUnit || "kg";
+
+      if (!exercise) {
+        throw new HttpError(400, "missing_exercise", "exercise is required");
+      }
+      if (
+        weight === undefined ||
+        reps === undefined ||
+        rpe === undefined ||
+        !WEIGHT_UNITS.includes(weightUnit)
+      ) {
+        throw new HttpError(
+          400,
+          "invalid_set",
+          "weight, reps, rpe or weightUnit out of range"
+        );
+      }
+
+      const setNumber =
+        session.sets.filter(
+          (s) => s.exercise.toLowerCase() === exercise.toLowerCase()
+        ).length + 1;
+
+      const set = await prisma.workoutSet.create({
+        data: {
+          sessionId: session.id,
+          exercise,
+          setNumber,
+          weight,
+          weightUnit,
+          reps,
+          rpe,
+        },
+      });
+
+      return res.status(200).json({
+        ok: true,
+        session: serializeSession({ ...session, sets: [...session.sets, set] }),
+      });
+    }
+
+    // finish (safe to call twice)
+    if (session.finishedAt) {
+      return res.status(200).json({
+        ok: true,
+        alreadyFinished: true,
+        session: serializeSession(session),
+      });
+    }
+
+    const finishedAt = new Date();
+    const notes = optionalText(body.notes, 1000);
+
+    // Conditional update so a double-tap can't create two ProgressEvents
+    const claimed = await prisma.workoutSession.updateMany({
+      where: { id: session.id, finishedAt: null },
+      data: { finishedAt, ...(notes ? { notes } : {}) },
+    });
+
+    if (claimed.count) {
+      await prisma.progressEvent.create({
+        data: {
+          userId: user.id,
+          type: "workout_session",
+          payload: buildSessionSummary(session, finishedAt),
+        },
+      });
+    }
+
+    const finished = await prisma.workoutSession.findUnique({
+      where: { id: session.id },
+      include: { sets: { orderBy: { createdAt: "asc" } } },
+    });
+
+    console.log(
+      "[Exerbud] exerbud-account-workout: finished session",
+      session.id,
+      "for user",
+      user.id
+    );
+
+    return res.status(200).json({ ok: true, session: serializeSession(finished) });
+  },
+});
@@ -1,72 +1,24 @@
 // ======================================================================
 // EXERBUD ACCOUNT SUMMARY API (with soft-delete + pinned insights)
+// - GET ?tz=America/New_York  (tz buckets meal totals by the user's day,
+//   same as /api/exerbud-account-nutrition; defaults to UTC)
 // ======================================================================
 
-let prismaInstance = null;
-
-function getPrisma() {
-  if (prismaInstance) return prismaInstance;
-  try {
-    const { PrismaClient } = require("@prisma/client");
-    prismaInstance = new PrismaClient();
-    console.log("[Exerbud] Prisma client loaded in /api/exerbud-account");
-  } catch (err) {
-    console.error(
-      "[Exerbud] Failed to load PrismaClient in /api/exerbud-account:",
-      err && err.message ? err.message : err
-    );
-    prismaInstance = null;
-  }
-  return prismaInstance;
-}
+const { serializeProfileMemory } = require("../lib/exerbudMemory");
+const { toUnitSystem, computeTrends } = require("../lib/exerbudBodyMetrics");
+const { previewUrlFor } = require("../lib/exerbudUploads");
+const {
+  resolveTimeZone,
+  dayKeyInTimeZone,
+} = require("../lib/exerbudNutrition");
+const { createHandler } = require("../lib/exerbudHttp");
+
+const UPLOADS_PREVIEW_LIMIT = 8;
 
 // --------------------------------------------------------------
 // Helpers to classify messages for "This Week at a Glance"
 // --------------------------------------------------------------
 
-function isMealLikeFromContent(content) {
-  if (!content) return false;
-  const lower = content.toLowerCase();
-
-  if (lower.includes("analysis of the food items in the image")) return true;
-  if (lower.includes("here's the analysis of the food items in the image")) return true;
-  if (lower.includes("here is the analysis of the food items in the image")) return true;
-  if (lower.includes("here's the analysis of this meal")) return true;
-  if (lower.includes("here is the analysis of this meal")) return true;
-
-  if (lower.includes("here's the analysis of your plate")) return true;
-  if (lower.includes("here is the analysis of your plate")) return true;
-  if (lower.includes("analysis of your plate")) return true;
-  if (lower.includes("food items and approximate portion sizes")) return true;
-  if (lower.includes("approximate portion sizes")) return true;
-
-  if (lower.includes("analysis of the food item in your image")) return true;
-  if (lower.includes("here's the analysis of the food item in your image")) return true;
-  if (lower.includes("here is the analysis of the food item in your image")) return true;
-  if (lower.includes("analysis of the food item in the image")) return true;
-
-  if (lower.includes("food identified:")) return true;
-
-  if (lower.includes("this meal") && /[0-9]{2,4}\s*(kcal|calories)/i.test(lower))
-    return true;
-  if (lower.includes("plate") && /[0-9]{2,4}\s*(kcal|calories)/i.test(lower))
-    return true;
-
-  return false;
-}
-
-function isWorkoutLikeFromContent(content) {
-  if (!content) return false;
-  const lower = content.toLowerCase();
-  return (
-    lower.includes("workout plan") ||
-    lower.includes("training plan") ||
-    lower.includes("weekly plan") ||
-    (lower.includes("workout") && lower.includes("plan")) ||
-    lower.includes("routine")
-  );
-}
-
 function isBodyScanLikeFromContent(content) {
   if (!content) return false;
   const lower = content.toLowerCase();
@@ -78,102 +30,24 @@ function isBodyScanLikeFromContent(content) {
   );
 }
 
-function extractCaloriesFromText(text) {
-  if (!text) return null;
-  const m = text.match(/([0-9]{2,4})\s*(kcal|calories)/i);
-  if (!m) return null;
-  const val = parseInt(m[1], 10);
-  if (Number.isNaN(val)) return null;
-  return val;
-}
-
-module.exports = async function handler(req, res) {
-  const allowedOrigin = "https://exerbud.com";
-
-  res.setHeader("Access-Control-Allow-Origin", allowedOrigin);
-  res.setHeader("Vary", "Origin");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-  res.setHeader("Cache-Control", "no-store");
-
-  try {
-    if (req.method === "OPTIONS") {
-      return res.status(200).end();
-    }
-
-    if (req.method !== "GET") {
-      res.setHeader("Allow", "GET, OPTIONS");
-      return res.status(405).json({ error: "Method not allowed" });
-    }
-
-    // --------------------------------------------------------------
-    // Parse identity
-    // --------------------------------------------------------------
-    let externalId = null;
-    let email = null;
-
-    try {
-      const urlObj = new URL(
-        req.url,
-        `http://${req.headers.host || "localhost"}`
-      );
-      externalId = urlObj.searchParams.get("externalId");
-      email = urlObj.searchParams.get("email");
-    } catch (e) {
-      console.error(
-        "[Exerbud] Failed to parse URL in exerbud-account:",
-        e && e.message ? e.message : e
-      );
-    }
-
-    if (!externalId && !email) {
-      console.log("[Exerbud] exerbud-account: missing identity");
-      return res.status(200).json({
-        hasData: false,
-        reason: "missing_identity",
-      });
-    }
-
-    const prisma = getPrisma();
-
-    if (!prisma || !process.env.DATABASE_URL) {
-      console.log(
-        "[Exerbud] exerbud-account: prisma/DATABASE_URL missing, persistence disabled"
-      );
-      return res.status(200).json({
-        hasData: false,
-        reason: "persistence_disabled",
-      });
-    }
-
+module.exports = createHandler({
+  name: "exerbud-account",
+  methods: ["GET"],
+  auth: "identity",
+  db: true,
+  async handler(req, res, { prisma, identity, query }) {
     // --------------------------------------------------------------
-    // Look up user
+    // Look up user (not an error: a new visitor simply has no data yet)
     // --------------------------------------------------------------
-    let user = null;
-    try {
-      const whereClauses = [];
-      if (externalId) whereClauses.push({ externalId });
-      if (email) whereClauses.push({ email });
-
-      user = await prisma.user.findFirst({
-        where: { OR: whereClauses },
-        select: { id: true },
-      });
-    } catch (err) {
-      console.error(
-        "[Exerbud] exerbud-account: DB error looking up user:",
-        err && err.message ? err.message : err
-      );
-      return res.status(200).json({
-        hasData: false,
-        reason: "user_not_found",
-      });
-    }
+    const user = await prisma.user.findUnique({
+      where: { externalId: identity.externalId },
+      select: { id: true },
+    });
 
     if (!user) {
       console.log(
         "[Exerbud] exerbud-account: user not found for",
-        externalId || email
+        identity.externalId
       );
       return res.status(200).json({
         hasData: false,
@@ -301,60 +175,93 @@ module.exports = async function handler(req, res) {
     }
 
     // --------------------------------------------------------------
-    // Weekly summary derived from assistant messages (last 7 days)
+    // Weekly summary (last 7 days)
+    // - meals + calories: structured meal_log ProgressEvent payloads
+    // - workouts: finished WorkoutSessions
+    // - body scans: still inferred from assistant messages
     // --------------------------------------------------------------
     let mealsThisWeek = 0;
     let bodyScansThisWeek = 0;
     let workoutsThisWeek = 0;
     let avgCaloriesPerDay = 0;
+    let avgProteinPerDay = 0;
+
+    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
 
     try {
-      if (recentMessages.length > 0) {
-        const now = new Date();
-        const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        const caloriesByDay = {};
-
-        recentMessages.forEach((m) => {
-          if (m.role !== "assistant") return;
-
-          const created = new Date(m.createdAt);
-          if (!created || isNaN(created.getTime())) return;
-          if (created < weekAgo) return;
-
-          const content = m.content || "";
-
-          const looksLikeMeal = isMealLikeFromContent(content);
-          const looksLikeWorkout = isWorkoutLikeFromContent(content);
-          const looksLikeBodyScan = isBodyScanLikeFromContent(content);
-
-          if (looksLikeMeal) {
-            mealsThisWeek += 1;
-            const cals = extractCaloriesFromText(content);
-            if (typeof cals === "number") {
-              const dayKey = created.toISOString().slice(0, 10);
-              caloriesByDay[dayKey] =
-                (caloriesByDay[dayKey] || 0) + cals;
-            }
-          }
+      const mealEvents = await prisma.progressEvent.findMany({
+        where: {
+          userId: user.id,
+          type: "meal_log",
+          createdAt: { gte: weekAgo },
+        },
+        select: { payload: true, createdAt: true },
+      });
 
-          if (looksLikeWorkout) {
-            workoutsThisWeek += 1;
-          }
+      mealsThisWeek = mealEvents.length;
+
+      // Days in the user's timezone, like /api/exerbud-account-nutrition
+      const timeZone = resolveTimeZone(query.get("tz"));
+      const caloriesByDay = {};
+      const proteinByDay = {};
+      mealEvents.forEach((e) => {
+        const totals = e.payload?.meal?.totals || {};
+        if (typeof totals.calories !== "number") return;
+        const dayKey = dayKeyInTimeZone(e.createdAt, timeZone);
+        caloriesByDay[dayKey] = (caloriesByDay[dayKey] || 0) + totals.calories;
+        proteinByDay[dayKey] =
+          (proteinByDay[dayKey] || 0) +
+          (typeof totals.proteinG === "number" ? totals.proteinG : 0);
+      });
 
-          if (looksLikeBodyScan) {
-            bodyScansThisWeek += 1;
-          }
-        });
+      const dayKeys = Object.keys(caloriesByDay);
+      if (dayKeys.length > 0) {
+        const totalCalories = dayKeys.reduce(
+          (sum, day) => sum + caloriesByDay[day],
+          0
+        );
+        const totalProtein = dayKeys.reduce(
+          (sum, day) => sum + proteinByDay[day],
+          0
+        );
+        avgCaloriesPerDay = Math.round(totalCalories / dayKeys.length);
+        avgProteinPerDay = Math.round(totalProtein / dayKeys.length);
+      }
+    } catch (err) {
+      console.error(
+        "[Exerbud] exerbud-account: error computing meal summary from progress events:",
+        err && err.message ? err.message : err
+      );
+    }
 
-        const dayKeys = Object.keys(caloriesByDay);
-        if (dayKeys.length > 0) {
-          const totalCalories = dayKeys.reduce(
-            (sum, day) => sum + caloriesByDay[day],
-            0
-          );
-          avgCaloriesPerDay = Math.round(totalCalories / dayKeys.length);
+    try {
+      workoutsThisWeek = await prisma.workoutSession.count({
+        where: {
+          userId: user.id,
+          finishedAt: { gte: weekAgo },
+        },
+      });
+    } catch (err) {
+      console.error(
+        "[Exerbud] exerbud-account: error counting workout sessions:",
+        err && err.message ? err.message : err
+      );
+    }
+
+    try {
+      recentMessages.forEach((m) => {
+        if (m.role !== "assistant") return;
+
+        const created = new Date(m.createdAt);
+        if (!created || isNaN(created.getTime())) return;
+        if (created < weekAgo) return;
+
+        const content = m.content || "";
+
+        if (isBodyScanLikeFromContent(content)) {
+          bodyScansThisWeek += 1;
         }
-      }
+      });
     } catch (err) {
       console.error(
         "[Exerbud] exerbud-account: error computing weekly summary from messages:",
@@ -362,11 +269,107 @@ module.exports = async function handler(req, res) {
       );
     }
 
+    // --------------------------------------------------------------
+    // Body metric changes (last 30 days, metric units)
+    // --------------------------------------------------------------
+    let weightChange = null;
+    let waistChange = null;
+
+    try {
+      const bodyRows = await prisma.bodyMetric.findMany({
+        where: {
+          userId: user.id,
+          measuredAt: { gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) },
+        },
+        orderBy: { measuredAt: "asc" },
+      });
+
+      const trends = computeTrends(bodyRows.map((r) => toUnitSystem(r)));
+      if (trends.weight) {
+        weightChange = {
+          latest: trends.weight.latest,
+          change: trends.weight.change,
+          unit: "kg",
+        };
+      }
+      if (trends.waist) {
+        waistChange = {
+          latest: trends.waist.latest,
+          change: trends.waist.change,
+          unit: "cm",
+        };
+      }
+    } catch (err) {
+      console.error(
+        "[Exerbud] exerbud-account: DB error loading body metrics:",
+        err && err.message ? err.message : err
+      );
+    }
+
+    // --------------------------------------------------------------
+    // Profile memory ("What Exerbud knows about you")
+    // --------------------------------------------------------------
+    let profile = serializeProfileMemory(null);
+    let targets = null;
+    try {
+      const memory = await prisma.userProfileMemory.findUnique({
+        where: { userId: user.id },
+      });
+      profile = serializeProfileMemory(memory);
+      targets = profile.targets && profile.targets.results;
+    } catch (err) {
+      console.error(
+        "[Exerbud] exerbud-account: DB error loading profile memory:",
+        err && err.message ? err.message : err
+      );
+    }
+
+    // --------------------------------------------------------------
+    // Latest upload thumbnails (full gallery: /api/exerbud-account-uploads)
+    // --------------------------------------------------------------
+    let uploadsPreview = [];
+    try {
+      const uploads = await prisma.upload.findMany({
+        // Legacy inline (data:) rows have nothing to show until backfilled
+        where: { userId: user.id, NOT: { url: { startsWith: "data:" } } },
+        orderBy: { createdAt: "desc" },
+        take: UPLOADS_PREVIEW_LIMIT,
+      });
+
+      uploadsPreview = uploads
+        .map((u) => ({
+          id: u.id,
+          previewUrl: previewUrlFor(u),
+          type: u.type,
+          workflow: u.workflow || null,
+          conversationId: u.conversationId || null,
+          createdAt: new Date(u.createdAt).toISOString(),
+        }));
+    } catch (err) {
+      console.error(
+        "[Exerbud] exerbud-account: DB error loading uploads preview:",
+        err && err.message ? err.message : err
+      );
+    }
+
     const summary = {
       mealsThisWeek,
       bodyScansThisWeek,
+      // 30-day body metric changes: { latest, change, unit } or null
+      weightChange,
+      waistChange,
       workoutsThisWeek,
       avgCaloriesPerDay,
+      avgProteinPerDay,
+      // Intake vs calculated targets (null until targets are set)
+      calorieTarget: targets ? targets.calories : null,
+      proteinTarget: targets ? targets.proteinG : null,
+      caloriesVsTarget:
+        targets && avgCaloriesPerDay ? avgCaloriesPerDay - targets.calories : null,
+      percentOfCalorieTarget:
+        targets && avgCaloriesPerDay
+          ? Math.round((avgCaloriesPerDay / targets.calories) * 100)
+          : null,
     };
 
     // --------------------------------------------------------------
@@ -385,19 +388,11 @@ module.exports = async function handler(req, res) {
         createdAt: new Date(m.createdAt).toISOString(),
       })),
       summary,
-      uploadsPreview: [],
+      profile,
+      uploadsPreview,
       softDeleteSupported,
       pinSupported,
       pinnedMessageIds,
     });
-  } catch (error) {
-    console.error("Exerbud account API error (top-level):", error);
-    if (!res.headersSent) {
-      return res.status(200).json({
-        hasData: false,
-        reason: "unexpected_error",
-        details: error?.message || "Unknown error",
-      });
-    }
-  }
-};
+  },
+});
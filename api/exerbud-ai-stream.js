@@ -1,176 +1,412 @@
 // /api/exerbud-ai-stream.js
 
-import OpenAI from "openai";
+import { randomUUID } from "crypto";
+import {
+  COACH_PROFILES,
+  WORKFLOWS,
+  ensureUserAndConversation,
+  saveMessagePair,
+  saveUploads,
+  recordProgressEvent,
+} from "../lib/exerbudPersistence.js";
+import { createSseWriter, resolveSseProtocol } from "../lib/exerbudSse.js";
+import { maybeAutoTitleConversation } from "../lib/exerbudTitles.js";
+import { resolveHistory } from "../lib/exerbudHistory.js";
+import {
+  loadProfileMemory,
+  formatMemoryForPrompt,
+  updateProfileMemoryFromExchange,
+} from "../lib/exerbudMemory.js";
+import { extractMealScan } from "../lib/exerbudMealScan.js";
+import { captureWorkoutPlan } from "../lib/exerbudWorkoutPlan.js";
+import { captureBodyScanMetrics } from "../lib/exerbudBodyMetrics.js";
+import { issueGuestSession } from "../lib/exerbudAuth.js";
+import { enforceRateLimit } from "../lib/exerbudRateLimit.js";
+import { createHandler, HttpError } from "../lib/exerbudHttp.js";
+import { isLlmEnabled, chatTaskFor, imagePart } from "../lib/exerbudLlm.js";
+import { buildCoachPrompt } from "../lib/exerbudPrompts.js";
+import {
+  webSearchInstructions,
+  streamWithWebSearch,
+} from "../lib/exerbudWebSearch.js";
+import {
+  checkSafety,
+  serializeSafety,
+  recordSafetyEvent,
+} from "../lib/exerbudSafety.js";
 
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Turn message + attachments into user content (image parts for vision)
+function buildUserContent(message, attachments) {
+  const images = attachments.filter(
+    (f) => f?.type?.startsWith("image/") && typeof f.data === "string"
+  );
+  const others = attachments.filter((f) => !images.includes(f));
 
-// Basic CORS helper for Vercel Node
-function applyCors(res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-}
+  let text = message || "";
+  if (others.length) {
+    const fileLines = others.map((f) => {
+      const sizeKB = f.size ? Math.round(f.size / 1024) : "unknown";
+      return `- ${f.name || "file"} (${f.type || "unknown"}, ~${sizeKB} KB)`;
+    });
+    text += (text ? "\n\n" : "") + "[Attached files]\n" + fileLines.join("\n");
+  }
 
-// Make sure history is well-formed & trimmed
-function sanitizeHistory(rawHistory) {
-  if (!Array.isArray(rawHistory)) return [];
-
-  const allowedRoles = new Set(["user", "assistant", "system"]);
-
-  return rawHistory
-    .map((m) => {
-      const role = allowedRoles.has(m.role) ? m.role : "user";
-      const content =
-        typeof m.content === "string" && m.content.trim()
-          ? m.content
-          : "";
-      return { role, content };
-    })
-    .filter((m) => m.content)
-    .slice(-20);
+  if (!images.length) return text || " ";
+
+  const parts = text ? [{ type: "text", text }] : [];
+  for (const img of images) {
+    parts.push(imagePart(img));
+  }
+  return parts;
 }
 
-// Build system prompt with coach flavour + formatting rules
-function buildSystemPrompt(coachProfile) {
-  let coachFlavor = "";
-
-  switch (coachProfile) {
-    case "strength":
-      coachFlavor =
-        "You are a strength-focused coach. Prioritize compound lifts, progressive overload, and clear structure. ";
-      break;
-    case "hypertrophy":
-      coachFlavor =
-        "You are a hypertrophy-focused coach. Emphasize training volume, mind-muscle connection, and muscle growth. ";
-      break;
-    case "mobility":
-      coachFlavor =
-        "You are a mobility-focused coach. Emphasize range of motion, control, warm-ups, and never push through sharp pain. ";
-      break;
-    case "fat_loss":
-      coachFlavor =
-        "You are a fat-loss-focused coach. Emphasize sustainable activity, simple nutrition guidance, and habit building. Avoid extreme dieting. ";
-      break;
-    default:
-      coachFlavor =
-        "You are a balanced strength-and-general-fitness coach. ";
+// Save the finished exchange; never throws so the stream can still close.
+// Returns the saved rows (for the meta event and runFollowUps) or null.
+async function persistExchange({
+  userExternalId,
+  conversationId,
+  coachProfile,
+  workflow,
+  userMessage,
+  attachments,
+  reply,
+  promptVersion,
+  safety,
+}) {
+  if (!process.env.DATABASE_URL) {
+    console.log("[Exerbud] Skipping DB save: DATABASE_URL is missing in environment");
+    return null;
   }
 
-  return `
-You are Exerbud, a friendly, expert fitness coach embedded in a website chat widget.
-
-${coachFlavor}
-
-Your job:
-- Ask a few focused follow-up questions when needed.
-- Give specific, realistic, actionable workout guidance.
-- Stay within your lane: do NOT diagnose injuries or medical conditions. For serious pain, dizziness, heart issues, eating disorders, or other health risks, clearly recommend they see a qualified medical professional.
-
-Formatting rules (VERY IMPORTANT):
-- ALWAYS use real newline characters (\n) to separate sentences and items.
-- Never run everything into one long line.
-- When you list questions, put each question on its own line.
-- For numbered lists, each item MUST start on its own line, e.g.:
-  1. First item
-  2. Second item
-  3. Third item
-- For bullet lists, use "-" and put each bullet on its own line.
-- Keep paragraphs short (1–3 sentences) with blank lines between paragraphs.
-- Do NOT use markdown headings like "#", "##", etc. Simple text + line breaks is enough.
-`.trim();
-}
+  try {
+    const { user, conversation } = await ensureUserAndConversation({
+      externalId: userExternalId,
+      conversationId,
+      coachProfile,
+      workflow,
+    });
 
-export default async function handler(req, res) {
-  applyCors(res);
+    const { userMsg, assistantMsg } = await saveMessagePair({
+      conversationId: conversation.id,
+      userId: user.id,
+      userMessage: userMessage || (attachments.length ? "[attachments]" : ""),
+      assistantMessage: reply,
+      promptVersion,
+    });
 
-  if (req.method === "OPTIONS") {
-    return res.status(204).end();
-  }
+    await recordSafetyEvent({
+      safety,
+      userId: user.id,
+      conversationId: conversation.id,
+      messageId: assistantMsg.id,
+      userMessage,
+    });
 
-  if (req.method !== "POST") {
-    return res.status(405).json({ error: "Method not allowed" });
+    return { user, conversation, userMsg, assistantMsg };
+  } catch (err) {
+    console.error(
+      "[Exerbud] Failed to persist streamed chat to DB:",
+      err?.message || err
+    );
+    return null;
   }
+}
 
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    return res.status(500).json({ error: "Missing OPENAI_API_KEY" });
-  }
+// Uploads, structured extractions, title and memory for a saved exchange.
+// Runs after the meta event so the client isn't kept waiting on these
+// LLM calls; never throws.
+async function runFollowUps({
+  saved,
+  workflow,
+  userMessage,
+  attachments,
+  reply,
+  safety,
+}) {
+  const { user, conversation, assistantMsg } = saved;
 
   try {
-    const body = req.body || {};
-    const userMessage = (body.message || "").toString();
+    let uploadsSaved = 0;
+    try {
+      uploadsSaved = await saveUploads({
+        userId: user.id,
+        conversationId: conversation.id,
+        messageId: assistantMsg.id,
+        attachments,
+        workflow,
+      });
+    } catch (uploadErr) {
+      console.error(
+        "[Exerbud] UPLOAD SAVE FAILED (stream):",
+        uploadErr?.message || uploadErr
+      );
+    }
+
+    // Escalated replies are not meal / body / plan analyses
+    const captureWorkflow =
+      safety && safety.action === "replace" ? null : workflow;
+
+    // Meal scans also get structured items / macros for the dashboard
+    const meal =
+      captureWorkflow === "food_scan"
+        ? await extractMealScan({ userMessage, reply })
+        : null;
+
+    // Fitness plans are stored as a structured, active WorkoutPlan
+    const plan =
+      captureWorkflow === "fitness_plan"
+        ? await captureWorkoutPlan({
+            userId: user.id,
+            conversationId: conversation.id,
+            messageId: assistantMsg.id,
+            userMessage,
+            reply,
+          })
+        : null;
+
+    // Body scans feed the BodyMetric trend (body-fat estimate etc.)
+    const bodyMetric =
+      captureWorkflow === "body_scan"
+        ? await captureBodyScanMetrics({
+            userId: user.id,
+            conversationId: conversation.id,
+            messageId: assistantMsg.id,
+            userMessage,
+            reply,
+          })
+        : null;
+
+    try {
+      await recordProgressEvent({
+        userId: user.id,
+        conversationId: conversation.id,
+        messageId: assistantMsg.id,
+        workflow: captureWorkflow,
+        payload: {
+          source: "exerbud-ai-stream",
+          attachmentsCount: attachments.length,
+          ...(meal ? { meal } : {}),
+          ...(plan ? { planId: plan.id } : {}),
+          ...(bodyMetric ? { bodyMetricId: bodyMetric.id } : {}),
+        },
+      });
+    } catch (peErr) {
+      console.error(
+        "[Exerbud] PROGRESS EVENT SAVE FAILED (stream):",
+        peErr?.message || peErr
+      );
+    }
+
+    // Auto-title after the first exchange (never overrides a rename)
+    // + update long-term memory; both are best-effort. Flagged messages
+    // stay out of long-term memory.
+    const [conversationTitle] = await Promise.all([
+      maybeAutoTitleConversation({
+        conversationId: conversation.id,
+        userMessage,
+        reply,
+        workflow,
+      }),
+      safety
+        ? null
+        : updateProfileMemoryFromExchange({ userId: user.id, userMessage, reply }),
+    ]);
+
+    return {
+      conversationId: conversation.id,
+      messageId: assistantMsg.id,
+      conversationTitle,
+      workoutPlanId: plan ? plan.id : null,
+      bodyMetricId: bodyMetric ? bodyMetric.id : null,
+      uploadsSaved,
+    };
+  } catch (err) {
+    console.error(
+      "[Exerbud] Stream follow-ups failed:",
+      err?.message || err
+    );
+    return null;
+  }
+}
+
+export default createHandler({
+  name: "exerbud-ai-stream",
+  methods: ["POST"],
+  auth: "optional",
+  body: {
+    message: { type: "string" },
+    history: { type: "array" },
+    attachments: { type: "array" },
+    conversationId: { type: "string" },
+    coachProfile: { type: "string", enum: COACH_PROFILES },
+    workflow: { type: "string", enum: WORKFLOWS },
+  },
+  async handler(req, res, { body, identity: verified }) {
+    if (!isLlmEnabled()) {
+      throw new HttpError(503, "llm_not_configured", "No LLM provider configured");
+    }
+
+    const userMessage = body.message || "";
     const rawHistory = body.history || [];
-    const coachProfile = body.coachProfile || "strength";
+    const coachProfile = body.coachProfile || null;
+    const workflow = body.workflow || null; // food_scan | body_scan | fitness_plan | null
+    const attachments = body.attachments || [];
+    const conversationId = body.conversationId || null;
+
+    // Verified identity only; otherwise a new guest (token sent in meta)
+    let identity = verified;
+    let guestSession = null;
+    if (!identity) {
+      guestSession = issueGuestSession();
+      identity = guestSession
+        ? guestSession.identity
+        : { externalId: `guest:${randomUUID()}`, type: "guest" };
+    }
+    const userExternalId = identity.externalId;
 
-    if (!userMessage.trim()) {
-      return res.status(400).json({ error: "Missing message" });
+    if (!userMessage.trim() && !attachments.length) {
+      throw new HttpError(400, "missing_message", "Missing message");
     }
 
-    const history = sanitizeHistory(rawHistory);
+    // Throttle before the stream opens so a 429 is a normal JSON response
+    await enforceRateLimit(req, res, {
+      identity,
+      workflow,
+      hasAttachments: attachments.length > 0,
+    });
+
+    // Server-side history for persisted conversations; client history
+    // is only a fallback for guests without persistence
+    const { history } = await resolveHistory({
+      conversationId,
+      externalId: userExternalId,
+      clientHistory: rawHistory,
+    });
+
+    // Long-term memory (goals, injuries, equipment...) from earlier chats
+    const memoryBlock = formatMemoryForPrompt(
+      await loadProfileMemory({ externalId: userExternalId })
+    );
+
+    // Same persona / workflow prompts as /api/exerbud-ai
+    const { prompt: systemPrompt, version: promptVersion } = buildCoachPrompt({
+      coachProfile,
+      workflow,
+      extraBlocks: [memoryBlock, webSearchInstructions()],
+    });
+
+    // Array content means image parts → vision model
+    const userContent = buildUserContent(userMessage, attachments);
+    const task = chatTaskFor({
+      workflow,
+      hasImages: Array.isArray(userContent),
+    });
+
+    // Safety screen (same rules as /api/exerbud-ai): red flags get a fixed
+    // escalation reply instead of, or in front of, the coach reply
+    const safety = await checkSafety({
+      message: userMessage,
+      imageParts: Array.isArray(userContent)
+        ? userContent.filter((part) => part.type === "image")
+        : [],
+    });
+    const escalated = Boolean(safety && safety.action === "replace");
+    if (safety) {
+      console.log("[Exerbud] Safety red flags:", safety.categories, safety.action);
+    }
 
     const messages = [
       {
         role: "system",
-        content: buildSystemPrompt(coachProfile),
+        content: safety?.guidance
+          ? `${systemPrompt}\n\n${safety.guidance}`
+          : systemPrompt,
       },
       ...history,
-      {
-        role: "user",
-        content: userMessage,
-      },
+      { role: "user", content: userContent },
     ];
 
-    // SSE headers
-    res.setHeader("Content-Type", "text/event-stream");
-    res.setHeader("Cache-Control", "no-cache, no-transform");
-    res.setHeader("Connection", "keep-alive");
+    // SSE headers (v1 plain text for the current widget, v2 typed events)
+    const sse = createSseWriter(res, resolveSseProtocol(req, body));
+    sse.open();
 
-    // In some runtimes this helps flush headers
-    if (typeof res.flushHeaders === "function") {
-      res.flushHeaders();
-    } else {
-      res.write("\n");
-    }
+    // Past this point errors go out as an SSE event, not the JSON envelope
+    try {
+      let fullReply = "";
+      let sources = [];
 
-    const stream = await client.chat.completions.create({
-      model: process.env.EXERBUD_MODEL || "gpt-4.1-mini",
-      messages,
-      temperature: 0.6,
-      max_tokens: 900,
-      stream: true,
-    });
+      // The escalation goes out first; "replace" skips the model entirely
+      if (safety) {
+        const escalation = escalated ? safety.response : `${safety.response}\n\n`;
+        fullReply += escalation;
+        sse.token(escalation);
+      }
 
-    for await (const delta of stream) {
-      const piece = delta.choices?.[0]?.delta?.content ?? "";
-      if (!piece) continue;
+      // The model may call web_search between text rounds; the cards go
+      // out in the meta event as `sources`
+      if (!escalated) {
+        ({ sources } = await streamWithWebSearch(
+          {
+            task,
+            messages,
+            temperature: 0.6,
+            maxTokens: 900,
+          },
+          (piece) => {
+            // Convert escaped "\n" to real newline characters, just in case
+            const text = piece.replace(/\\n/g, "\n");
+            fullReply += text;
+            sse.token(text);
+          }
+        ));
+      }
 
-      // Convert escaped "\n" to real newline characters, just in case
-      let text = piece.replace(/\\n/g, "\n");
+      // Persist the messages, then tell the client which rows they became
+      const saved = await persistExchange({
+        userExternalId,
+        conversationId,
+        coachProfile,
+        workflow,
+        userMessage: userMessage.trim(),
+        attachments,
+        reply: fullReply.trim(),
+        promptVersion,
+        safety,
+      });
 
-      // Emit plain text chunk to match frontend expectations: "data: <text>\n\n"
-      res.write(`data: ${text}\n\n`);
-    }
+      sse.meta({
+        conversationId: saved ? saved.conversation.id : conversationId,
+        userExternalId,
+        userMessageId: saved ? saved.userMsg.id : null,
+        messageId: saved ? saved.assistantMsg.id : null,
+        promptVersion,
+        sources,
+        safety: serializeSafety(safety),
+        session: guestSession
+          ? { token: guestSession.token, expiresAt: guestSession.expiresAt }
+          : null,
+      });
 
-    // Signal completion
-    res.write("data: [DONE]\n\n");
-    res.end();
-  } catch (err) {
-    console.error("Exerbud stream error:", err);
-    // Try to send an SSE error message if headers already sent
-    try {
-      res.write(
-        "data: Sorry, something went wrong while generating your workout. Please try again.\n\n"
-      );
-      res.write("data: [DONE]\n\n");
-      res.end();
-    } catch {
-      if (!res.headersSent) {
-        res
-          .status(500)
-          .json({ error: "Streaming error", details: String(err?.message || err) });
+      // Extractions / title / memory come after meta: the reply is already
+      // complete on the client, their results go out as `followups`
+      if (saved) {
+        const followUps = await runFollowUps({
+          saved,
+          workflow,
+          userMessage: userMessage.trim(),
+          attachments,
+          reply: fullReply.trim(),
+          safety,
+        });
+        if (followUps) sse.followups(followUps);
       }
+
+      // Signal completion
+      sse.close();
+    } catch (err) {
+      console.error("Exerbud stream error:", err);
+      sse.error("stream_failed", "Something went wrong while generating your reply.");
+      sse.close({ ok: false });
     }
-  }
-}
+  },
+});
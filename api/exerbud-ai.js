@@ -1,15 +1,49 @@
 // ======================================================================
 // EXERBUD AI — BACKEND WITH OPTIONAL PRISMA MEMORY
-// - CORS + GET healthcheck
+// - Shared request pipeline (lib/exerbudHttp.js) + GET healthcheck
 // - PDF Export (centered logo)
-// - Vision support via attachments (image_url)
+// - Vision support via attachments (image parts, lib/exerbudLlm.js)
 // - Optional Prisma persistence for Users / Conversations / Messages
 //   + Uploads + ProgressEvent for dashboard stats
 //   + Debug fields so we can verify attachments + DB writes
-//   + Thumbnail-only uploads to keep DB rows small
+//   + Uploads in blob storage (original + thumbnail), URLs only in DB
+// - web_search tool: cited result cards come back in `sources`
+// - Medical red flags → fixed escalation reply + SafetyEvent
 // ======================================================================
 
 const { randomUUID } = require("crypto");
+const { maybeAutoTitleConversation } = require("../lib/exerbudTitles");
+const { resolveHistory } = require("../lib/exerbudHistory");
+const {
+  loadProfileMemory,
+  formatMemoryForPrompt,
+  updateProfileMemoryFromExchange,
+} = require("../lib/exerbudMemory");
+const { extractMealScan } = require("../lib/exerbudMealScan");
+const { captureWorkoutPlan } = require("../lib/exerbudWorkoutPlan");
+const { captureBodyScanMetrics } = require("../lib/exerbudBodyMetrics");
+const {
+  COACH_PROFILES,
+  WORKFLOWS,
+  ensureUserAndConversation,
+  saveMessagePair,
+  saveUploads,
+} = require("../lib/exerbudPersistence");
+const { issueGuestSession } = require("../lib/exerbudAuth");
+const { enforceRateLimit } = require("../lib/exerbudRateLimit");
+const { createHandler, HttpError } = require("../lib/exerbudHttp");
+const { chatTaskFor, imagePart } = require("../lib/exerbudLlm");
+const { buildCoachPrompt } = require("../lib/exerbudPrompts");
+const {
+  checkSafety,
+  applySafetyToReply,
+  serializeSafety,
+  recordSafetyEvent,
+} = require("../lib/exerbudSafety");
+const {
+  webSearchInstructions,
+  completeWithWebSearch,
+} = require("../lib/exerbudWebSearch");
 
 // Bump this when you deploy so you can confirm the correct version
 const EXERBUD_API_VERSION = "2024-12-01-uploads-v3";
@@ -18,34 +52,20 @@ const EXERBUD_API_VERSION = "2024-12-01-uploads-v3";
 const EXERBUD_LOGO_URL =
   "https://cdn.shopify.com/s/files/1/0731/9882/9803/files/exerbudfulllogotransparentcircle.png?v=1734438468";
 
-// ----------------------------------------------------------------------
-// Prisma client (optional)
-// ----------------------------------------------------------------------
-let prisma = null;
-try {
-  const { PrismaClient } = require("@prisma/client");
-  prisma = new PrismaClient();
-  console.log("[Exerbud] Prisma client loaded in /api/exerbud-ai");
-} catch (err) {
-  console.error(
-    "[Exerbud] Failed to load PrismaClient in /api/exerbud-ai:",
-    err && err.message ? err.message : err
-  );
-  prisma = null;
-}
-
-module.exports = async function handler(req, res) {
-  // --- CORS (for Shopify widget) ---
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-
-  try {
-    // Preflight
-    if (req.method === "OPTIONS") {
-      return res.status(200).end();
-    }
-
+module.exports = createHandler({
+  name: "exerbud-ai",
+  methods: ["GET", "POST"],
+  auth: "optional",
+  body: {
+    message: { type: "string" },
+    history: { type: "array" },
+    attachments: { type: "array" },
+    conversationId: { type: "string" },
+    coachProfile: { type: "string", enum: COACH_PROFILES },
+    workflow: { type: "string", enum: WORKFLOWS },
+    planText: { type: "string" },
+  },
+  async handler(req, res, { prisma, body, identity: verified }) {
     // Simple GET healthcheck so hitting the URL in a browser works
     if (req.method === "GET") {
       return res.status(200).json({
@@ -55,28 +75,12 @@ module.exports = async function handler(req, res) {
       });
     }
 
-    if (req.method !== "POST") {
-      res.setHeader("Allow", "GET, POST, OPTIONS");
-      return res.status(405).json({ error: "Method not allowed" });
-    }
-
-    // ------------------------------------------------------------------
-    // Body parsing (Vercel may give a string)
-    // ------------------------------------------------------------------
-    let body = req.body;
-    if (typeof body === "string") {
-      try {
-        body = JSON.parse(body);
-      } catch {
-        body = {};
-      }
-    }
-    body = body || {};
-
     // ------------------------------------------------------------------
     // PDF EXPORT MODE
     // ------------------------------------------------------------------
     if (body.pdfExport) {
+      await enforceRateLimit(req, res, { identity: verified, kind: "pdf" });
+
       const planText = body.planText || "";
 
       const PDFDocument = require("pdfkit");
@@ -149,11 +153,9 @@ module.exports = async function handler(req, res) {
     const workflow = body.workflow || null; // food_scan | body_scan | fitness_plan | null
 
     let conversationId = body.conversationId || null;
-    let userExternalId = body.userExternalId || null;
-    const userEmail = body.userEmail || null;
 
     if (!message && !attachments.length) {
-      return res.status(400).json({ error: "Missing message" });
+      throw new HttpError(400, "missing_message", "Missing message");
     }
 
     const attachmentsCount = attachments.length;
@@ -164,41 +166,51 @@ module.exports = async function handler(req, res) {
       attachmentsCount
     );
 
-    // Ensure we always have some external ID, even if frontend forgot
-    if (!userExternalId) {
-      userExternalId = `guest:${randomUUID()}`;
+    // ------------------------------------------------------------------
+    // Identity: verified session token / App Proxy signature only.
+    // Without one this is a new guest; their token comes back in `session`.
+    // ------------------------------------------------------------------
+    let identity = verified;
+    let guestSession = null;
+    if (!identity) {
+      guestSession = issueGuestSession();
+      identity = guestSession
+        ? guestSession.identity
+        : { externalId: `guest:${randomUUID()}`, type: "guest" };
     }
+    const userExternalId = identity.externalId;
+
+    // Throttle before spending anything on the model (429 + Retry-After)
+    await enforceRateLimit(req, res, {
+      identity,
+      workflow,
+      hasAttachments: attachmentsCount > 0,
+    });
 
     // ------------------------------------------------------------------
-    // Format history for OpenAI (strip timestamps etc.)
+    // History: server-side for persisted conversations, client `history`
+    // only as a fallback (guests / no DB). Trimmed to a token budget.
     // ------------------------------------------------------------------
-    const formattedHistory = history.map((m) => ({
-      role: m.role === "assistant" ? "assistant" : "user",
-      content: (m.content || "").toString(),
-    }));
+    const { history: formattedHistory, source: historySource } =
+      await resolveHistory({
+        conversationId,
+        externalId: userExternalId,
+        clientHistory: history,
+      });
 
     // ------------------------------------------------------------------
-    // System prompt (light coach style hints)
+    // System prompt: persona + workflow instructions from the shared
+    // prompt registry, plus long-term memory and the web_search rules
     // ------------------------------------------------------------------
-    let systemPrompt = `
-You are Exerbud AI, an expert fitness, strength, hypertrophy, mobility, and nutrition coach embedded on the Exerbud website.
-
-General behavior:
-- Give clear, practical, sustainable advice.
-- Prefer short paragraphs and bullet points.
-- Keep tone friendly and encouraging.
-- Avoid markdown headings like "#", just use plain text and bullets.
-    `.trim();
-
-    if (coachProfile === "strength") {
-      systemPrompt += " You focus more on strength training and compound lifts.";
-    } else if (coachProfile === "hypertrophy") {
-      systemPrompt += " You focus more on hypertrophy and muscle growth.";
-    } else if (coachProfile === "mobility") {
-      systemPrompt += " You focus more on mobility and joint quality.";
-    } else if (coachProfile === "fat_loss") {
-      systemPrompt += " You focus more on sustainable fat loss.";
-    }
+    const memoryBlock = formatMemoryForPrompt(
+      await loadProfileMemory({ externalId: userExternalId })
+    );
+
+    const { prompt: systemPrompt, version: promptVersion } = buildCoachPrompt({
+      coachProfile,
+      workflow,
+      extraBlocks: [memoryBlock, webSearchInstructions()],
+    });
 
     const messages = [
       { role: "system", content: systemPrompt },
@@ -241,11 +253,7 @@ General behavior:
       }
 
       for (const img of imageAttachments) {
-        const mime = img.type || "image/jpeg";
-        parts.push({
-          type: "image_url",
-          image_url: { url: `data:${mime};base64,${img.data}` },
-        });
+        parts.push(imagePart(img));
       }
 
       userContent = parts;
@@ -256,138 +264,123 @@ General behavior:
     messages.push({ role: "user", content: userContent });
 
     // ------------------------------------------------------------------
-    // OpenAI call
+    // Safety screen: red flags (chest pain, fainting, self-harm...) get a
+    // fixed escalation reply instead of, or in front of, the coach reply
     // ------------------------------------------------------------------
-    const OpenAI = (await import("openai")).default;
-    const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const safety = await checkSafety({
+      message,
+      imageParts: imageAttachments.map(imagePart),
+    });
+    const escalated = Boolean(safety && safety.action === "replace");
 
-    const model = process.env.EXERBUD_MODEL || "gpt-4.1";
+    if (safety) {
+      console.log("[Exerbud] Safety red flags:", safety.categories, safety.action);
+      if (safety.guidance) messages[0].content += "\n\n" + safety.guidance;
+    }
 
-    const completion = await client.chat.completions.create({
-      model,
-      messages,
-      temperature: 0.6,
-      max_tokens: 900,
-    });
+    // ------------------------------------------------------------------
+    // Model call (provider + per-workflow model from lib/exerbudLlm.js)
+    // The model may call web_search first; cards come back as `sources`
+    // ------------------------------------------------------------------
+    let reply = null;
+    let sources = [];
+
+    if (!escalated) {
+      const completion = await completeWithWebSearch({
+        task: chatTaskFor({ workflow, hasImages: imageAttachments.length > 0 }),
+        messages,
+        temperature: 0.6,
+        maxTokens: 900,
+      });
+      reply = completion.reply || "I'm sorry — I couldn't generate a response.";
+      sources = completion.sources;
+    }
 
-    const reply =
-      completion.choices?.[0]?.message?.content?.trim() ||
-      "I'm sorry — I couldn't generate a response.";
+    reply = applySafetyToReply(safety, reply);
+
+    // Escalated replies are not meal / body / plan analyses
+    const captureWorkflow = escalated ? null : workflow;
 
     // ------------------------------------------------------------------
     // OPTIONAL: Persist to Postgres via Prisma
     // ------------------------------------------------------------------
-    const finalConversationId = conversationId || randomUUID();
-    const finalUserExternalId = userExternalId || `guest:${randomUUID()}`;
+    let finalConversationId = conversationId || randomUUID();
+    const finalUserExternalId = userExternalId;
 
     let lastUserMessageId = null;
     let lastAssistantMessageId = null;
     let uploadsSaved = 0;
     let progressEventCreated = false;
+    let conversationTitle = null;
+    let meal = null;
+    let workoutPlanId = null;
+    let bodyMetricId = null;
 
-    if (!prisma) {
-      console.log(
-        "[Exerbud] Skipping DB save: prisma is null in /api/exerbud-ai"
-      );
-    } else if (!process.env.DATABASE_URL) {
+    if (!process.env.DATABASE_URL) {
       console.log(
         "[Exerbud] Skipping DB save: DATABASE_URL is missing in environment"
       );
     } else {
       try {
-        // 1) Upsert user
-        const user = await prisma.user.upsert({
-          where: { externalId: finalUserExternalId },
-          update: {
-            email: userEmail || undefined,
-          },
-          create: {
-            externalId: finalUserExternalId,
-            email: userEmail || null,
-          },
+        // 1) User + conversation (never someone else's: start a fresh one)
+        const { user, conversation } = await ensureUserAndConversation({
+          externalId: finalUserExternalId,
+          conversationId: finalConversationId,
+          coachProfile,
+          workflow,
         });
-
-        // 2) Upsert conversation
-        await prisma.conversation.upsert({
-          where: { id: finalConversationId },
-          update: {
-            userId: user.id,
-            coachProfile: coachProfile || null,
-            workflow: workflow || null,
-          },
-          create: {
-            id: finalConversationId,
-            userId: user.id,
-            source: "shopify_widget",
-            coachProfile: coachProfile || null,
-            workflow: workflow || null,
-          },
-        });
-
-        // 3) Insert messages (user + assistant) and capture IDs
-        if (message || attachments.length) {
-          const userContentForDb =
-            message ||
-            (attachments.length ? "[attachments]" : "[empty message]");
-
-          const userMsg = await prisma.message.create({
+        finalConversationId = conversation.id;
+
+        // 2) Persona / workflow can change mid-thread
+        if (
+          conversation.coachProfile !== (coachProfile || null) ||
+          conversation.workflow !== (workflow || null)
+        ) {
+          await prisma.conversation.update({
+            where: { id: conversation.id },
             data: {
-              conversationId: finalConversationId,
-              userId: user.id,
-              role: "user",
-              content: userContentForDb,
+              coachProfile: coachProfile || null,
+              workflow: workflow || null,
             },
           });
-
-          lastUserMessageId = userMsg.id;
         }
 
-        const assistantMsg = await prisma.message.create({
-          data: {
-            conversationId: finalConversationId,
-            userId: null,
-            role: "assistant",
-            content: reply,
-          },
+        // 3) Insert messages (user + assistant) + bump lastMessageAt, same
+        //    as the streaming route
+        const { userMsg, assistantMsg } = await saveMessagePair({
+          conversationId: finalConversationId,
+          userId: user.id,
+          userMessage: message || (attachments.length ? "[attachments]" : ""),
+          assistantMessage: reply,
+          promptVersion,
         });
 
+        lastUserMessageId = userMsg.id;
         lastAssistantMessageId = assistantMsg.id;
 
-        // 4) Save uploads for dashboard grid (THUMBNAIL ONLY)
-        if (attachments.length) {
-  const uploadData = attachments.map((file) => {
-    const mime = file.type || "application/octet-stream";
-
-    // Prefer a real URL if the frontend sent one
-    let url = "";
-    if (typeof file.url === "string" && file.url.length) {
-      url = file.url;
-    } else if (file.data && typeof file.data === "string") {
-      // Fallback: full data URL (no truncation so the image isn't corrupted)
-      url = `data:${mime};base64,${file.data}`;
-    }
-
-    return {
-      userId: user.id,
-      conversationId: finalConversationId,
-      url,
-      type: mime,
-      workflow: workflow || null,
-    };
-  });
-
+        await recordSafetyEvent({
+          safety,
+          userId: user.id,
+          conversationId: finalConversationId,
+          messageId: assistantMsg.id,
+          userMessage: message,
+        });
 
+        // 4) Save uploads for dashboard grid (blob storage, URLs only in DB)
+        if (attachments.length) {
           try {
-            const uploadResult = await prisma.upload.createMany({
-              data: uploadData,
+            uploadsSaved = await saveUploads({
+              userId: user.id,
+              conversationId: finalConversationId,
+              messageId: assistantMsg.id,
+              attachments,
+              workflow,
             });
 
-            uploadsSaved = uploadResult.count || 0;
-
             console.log(
               "[Exerbud] Saved",
               uploadsSaved,
-              "thumbnail uploads for user",
+              "uploads for user",
               user.id
             );
           } catch (uploadErr) {
@@ -407,7 +400,36 @@ General behavior:
           fitness_plan: "workout_plan",
         };
 
-        const progressType = progressTypeMap[workflow];
+        const progressType = progressTypeMap[captureWorkflow];
+
+        // Meal scans also get structured items / macros for the dashboard
+        if (captureWorkflow === "food_scan") {
+          meal = await extractMealScan({ userMessage: message, reply });
+        }
+
+        // Fitness plans are stored as a structured, active WorkoutPlan
+        if (captureWorkflow === "fitness_plan") {
+          const plan = await captureWorkoutPlan({
+            userId: user.id,
+            conversationId: finalConversationId,
+            messageId: assistantMsg.id,
+            userMessage: message,
+            reply,
+          });
+          workoutPlanId = plan ? plan.id : null;
+        }
+
+        // Body scans feed the BodyMetric trend (body-fat estimate etc.)
+        if (captureWorkflow === "body_scan") {
+          const metric = await captureBodyScanMetrics({
+            userId: user.id,
+            conversationId: finalConversationId,
+            messageId: assistantMsg.id,
+            userMessage: message,
+            reply,
+          });
+          bodyMetricId = metric ? metric.id : null;
+        }
 
         if (progressType) {
           try {
@@ -421,6 +443,9 @@ General behavior:
                   workflow,
                   source: "exerbud-ai",
                   attachmentsCount: attachments.length,
+                  ...(meal ? { meal } : {}),
+                  ...(workoutPlanId ? { planId: workoutPlanId } : {}),
+                  ...(bodyMetricId ? { bodyMetricId } : {}),
                 },
               },
             });
@@ -447,6 +472,25 @@ General behavior:
           "assistant message id:",
           lastAssistantMessageId
         );
+
+        // 6) Auto-title after the first exchange (never overrides a rename)
+        //    + update long-term memory; both are best-effort. Flagged
+        //    messages stay out of long-term memory.
+        [conversationTitle] = await Promise.all([
+          maybeAutoTitleConversation({
+            conversationId: finalConversationId,
+            userMessage: message,
+            reply,
+            workflow,
+          }),
+          safety
+            ? null
+            : updateProfileMemoryFromExchange({
+                userId: user.id,
+                userMessage: message,
+                reply,
+              }),
+        ]);
       } catch (err) {
         console.error(
           "[Exerbud] Failed to persist chat / uploads / progress to DB:",
@@ -460,10 +504,20 @@ General behavior:
     // ------------------------------------------------------------------
     return res.status(200).json({
       reply,
+      sources,
+      safety: serializeSafety(safety),
       conversationId: finalConversationId,
       userExternalId: finalUserExternalId,
+      session: guestSession
+        ? { token: guestSession.token, expiresAt: guestSession.expiresAt }
+        : null,
       messageId: lastAssistantMessageId,
       userMessageId: lastUserMessageId,
+      promptVersion,
+      conversationTitle,
+      meal,
+      workoutPlanId,
+      bodyMetricId,
       version: EXERBUD_API_VERSION,
       // debug info so we can see what's really happening
       debug: {
@@ -471,17 +525,10 @@ General behavior:
         attachmentsCount,
         uploadsSaved,
         progressEventCreated,
+        historySource,
+        historyMessages: formattedHistory.length,
+        webSearches: sources.length,
       },
     });
-  } catch (error) {
-    console.error("Exerbud AI backend error (top-level):", error);
-    if (!res.headersSent) {
-      return res.status(500).json({
-        error: "Internal server error",
-        details: error?.message || "Unknown error",
-        version: EXERBUD_API_VERSION,
-      });
-    }
-  }
-};
- 
\ No newline at end of file
+  },
+});
@@ -0,0 +1,128 @@
+// api/exerbud-conversation-messages.js
+// Transcript for a single conversation (reopen a chat from the drawer)
+//
+// GET ?conversationId=...&cursor=...&limit=...  (Authorization: Bearer <session>)
+// - Messages come back oldest → newest within a page.
+// - The first page is the most recent messages; pass `nextCursor` back as
+//   `cursor` to load older ones.
+
+import { createHandler, HttpError } from "../lib/exerbudHttp.js";
+import { publicUrl } from "../lib/exerbudUploads.js";
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+function parseLimit(raw) {
+  const n = parseInt(raw, 10);
+  if (Number.isNaN(n) || n <= 0) return DEFAULT_LIMIT;
+  return Math.min(n, MAX_LIMIT);
+}
+
+export default createHandler({
+  name: "exerbud-conversation-messages",
+  methods: ["GET"],
+  auth: "identity",
+  db: true,
+  query: {
+    conversationId: {
+      type: "string",
+      required: true,
+      missing: "missing_conversation_id",
+    },
+  },
+  async handler(req, res, { prisma, identity, query }) {
+    const conversationId = query.get("conversationId");
+    const cursor = query.get("cursor");
+    const limit = parseLimit(query.get("limit"));
+
+    // --- 1) Look up the verified user ---
+    const user = await prisma.user.findUnique({
+      where: { externalId: identity.externalId },
+    });
+
+    // --- 2) Ownership check: same 404 whether missing or not theirs ---
+    const conversation = user
+      ? await prisma.conversation.findFirst({
+          where: { id: conversationId, userId: user.id },
+        })
+      : null;
+
+    if (!conversation) {
+      throw new HttpError(
+        404,
+        "conversation_not_found",
+        "Conversation not found"
+      );
+    }
+
+    // --- 3) Page of messages, newest first, skipping hidden ones ---
+    const rows = await prisma.message.findMany({
+      where: {
+        conversationId: conversation.id,
+        hiddenBy: { none: { userId: user.id } },
+      },
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      take: limit + 1,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+      select: {
+        id: true,
+        role: true,
+        content: true,
+        createdAt: true,
+        pinnedBy: {
+          where: { userId: user.id },
+          select: { id: true },
+        },
+      },
+    });
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit).reverse();
+    const nextCursor = hasMore ? page[0].id : null;
+
+    // --- 4) Uploads attached to this conversation ---
+    const uploads = await prisma.upload.findMany({
+      where: { conversationId: conversation.id, userId: user.id },
+      orderBy: { createdAt: "asc" },
+      select: {
+        id: true,
+        url: true,
+        thumbnailUrl: true,
+        width: true,
+        height: true,
+        type: true,
+        workflow: true,
+        createdAt: true,
+      },
+    });
+
+    return res.status(200).json({
+      ok: true,
+      conversation: {
+        id: conversation.id,
+        title: conversation.title,
+        startedAt: conversation.startedAt,
+        endedAt: conversation.endedAt,
+        lastMessageAt: conversation.lastMessageAt,
+        coachProfile: conversation.coachProfile,
+        workflow: conversation.workflow,
+      },
+      messages: page.map((m) => ({
+        id: m.id,
+        role: m.role,
+        content: m.content,
+        createdAt: new Date(m.createdAt).toISOString(),
+        pinned: m.pinnedBy.length > 0,
+      })),
+      // Legacy inline (data:) images come back as null, not multi-MB strings
+      uploads: uploads.map((u) => ({
+        ...u,
+        url: publicUrl(u.url),
+        thumbnailUrl: publicUrl(u.thumbnailUrl),
+        createdAt: new Date(u.createdAt).toISOString(),
+      })),
+      nextCursor,
+      hasMore,
+    });
+  },
+});
@@ -1,53 +1,75 @@
 // api/exerbud-conversation-new.js
+// Creates a real Conversation row up front so the drawer can show it
+// before the first message is sent.
 
-// Minimal stub (no prisma, no other imports) so it cannot crash on import.
+import {
+  COACH_PROFILES,
+  WORKFLOWS,
+  createConversation,
+} from "../lib/exerbudPersistence.js";
+import { issueGuestSession } from "../lib/exerbudAuth.js";
+import { createHandler, HttpError } from "../lib/exerbudHttp.js";
 
-function setCors(res) {
-  // You can tighten this later to just "https://exerbud.com"
-  res.setHeader("Access-Control-Allow-Origin", "https://exerbud.com");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-}
+export default createHandler({
+  name: "exerbud-conversation-new",
+  methods: ["POST"],
+  auth: "optional",
+  db: true,
+  body: {
+    initialTitle: { type: "string", maxLength: 200 },
+    coachProfile: { type: "string", enum: COACH_PROFILES },
+    workflow: { type: "string", enum: WORKFLOWS },
+    source: { type: "string" },
+  },
+  async handler(req, res, { body, identity: verified }) {
+    const { initialTitle, coachProfile, workflow, source } = body;
 
-export default async function handler(req, res) {
-  setCors(res);
+    // Same guest fallback as /api/exerbud-ai: no verified identity → new
+    // guest, whose token comes back in `session`
+    let identity = verified;
+    let session = null;
+    if (!identity) {
+      session = issueGuestSession();
+      if (!session) {
+        throw new HttpError(
+          503,
+          "sessions_disabled",
+          "EXERBUD_SESSION_SECRET is not configured"
+        );
+      }
+      identity = session.identity;
+    }
+    const externalId = identity.externalId;
 
-  // Handle preflight
-  if (req.method === "OPTIONS") {
-    return res.status(200).end();
-  }
-
-  if (req.method !== "POST") {
-    return res.status(405).json({ error: "Method not allowed" });
-  }
-
-  try {
-    const { userExternalId, email, initialTitle } = req.body || {};
-
-    // Just generate a fake conversation id for now
-    const conversationId =
-      "conv_" +
-      Date.now().toString(36) +
-      "_" +
-      Math.random().toString(16).slice(2, 8);
+    const { conversation } = await createConversation({
+      externalId,
+      title: initialTitle,
+      source,
+      coachProfile,
+      workflow,
+    });
 
     console.log("[exerbud-conversation-new] new conversation", {
-      conversationId,
-      userExternalId,
-      email,
-      initialTitle,
+      conversationId: conversation.id,
+      userExternalId: externalId,
     });
 
     return res.status(200).json({
       ok: true,
-      conversationId,
-      userExternalId: userExternalId || null,
-    });
-  } catch (err) {
-    console.error("[exerbud-conversation-new] error:", err);
-    return res.status(500).json({
-      error: "Failed to create conversation",
-      details: String(err),
+      conversationId: conversation.id,
+      userExternalId: externalId,
+      session: session
+        ? { token: session.token, expiresAt: session.expiresAt }
+        : null,
+      conversation: {
+        id: conversation.id,
+        title: conversation.title,
+        source: conversation.source,
+        startedAt: conversation.startedAt,
+        lastMessageAt: conversation.lastMessageAt,
+        coachProfile: conversation.coachProfile,
+        workflow: conversation.workflow,
+      },
     });
-  }
-}
+  },
+});
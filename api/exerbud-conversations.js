@@ -1,18 +1,8 @@
 // /pages/api/exerbud-conversations.js
 
-import { PrismaClient } from "@prisma/client";
+import { createHandler } from "../lib/exerbudHttp.js";
 
-let prisma;
-
-// Reuse Prisma client in dev to avoid too many connections
-if (!global._exerbudPrisma) {
-  global._exerbudPrisma = new PrismaClient();
-}
-prisma = global._exerbudPrisma;
-
-// You can change this or make it an env var if you have staging domains
-const ALLOWED_ORIGIN =
-  process.env.EXERBUD_ALLOWED_ORIGIN || "https://exerbud.com";
+const MAX_CONVERSATIONS = 20;
 
 // Helper: format a short date label like "Dec 4"
 function formatLabelDate(date) {
@@ -70,49 +60,21 @@ function buildConversationTitle(conv) {
   return dateLabel ? `Chat · ${dateLabel}` : "Chat";
 }
 
-export default async function handler(req, res) {
-  // ---- CORS HEADERS (for all requests) ----
-  res.setHeader("Access-Control-Allow-Origin", ALLOWED_ORIGIN);
-  res.setHeader("Access-Control-Allow-Methods", "GET,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
-
-  // ---- Handle preflight ----
-  if (req.method === "OPTIONS") {
-    return res.status(204).end();
-  }
-
-  // ---- Only allow GET for actual work ----
-  if (req.method !== "GET") {
-    res.setHeader("Allow", ["GET", "OPTIONS"]);
-    return res.status(405).json({ ok: false, error: "Method not allowed" });
-  }
-
-  try {
-    const { externalId, email } = req.query;
-
-    // Require at least one way to identify the user
-    if (!externalId && !email) {
-      return res.status(200).json({
-        ok: true,
-        conversations: [],
-      });
-    }
-
-    // --- 1) Look up user by externalId or email ---
-    let user = null;
-
-    if (externalId) {
-      user = await prisma.user.findUnique({
-        where: { externalId: String(externalId) },
-      });
-    }
-
-    // If not found via externalId, try email (if provided)
-    if (!user && email) {
-      user = await prisma.user.findUnique({
-        where: { email: String(email) },
-      });
-    }
+export default createHandler({
+  name: "exerbud-conversations",
+  methods: ["GET"],
+  auth: "identity",
+  db: true,
+  async handler(req, res, { prisma, identity, query }) {
+    // Archived threads (endedAt set) are hidden unless explicitly requested
+    const includeArchived = ["1", "true"].includes(
+      String(query.get("includeArchived") || "").toLowerCase()
+    );
+
+    // --- 1) Look up the verified user ---
+    const user = await prisma.user.findUnique({
+      where: { externalId: identity.externalId },
+    });
 
     // No user → nothing to return (frontend will just hide the bar)
     if (!user) {
@@ -126,10 +88,12 @@ export default async function handler(req, res) {
     const rawConversations = await prisma.conversation.findMany({
       where: {
         userId: user.id,
+        ...(includeArchived ? {} : { endedAt: null }),
       },
       orderBy: [
-        // Primary sort: lastMessageAt (most recent first)
-        { lastMessageAt: "desc" },
+        // Primary sort: lastMessageAt (most recent first; empty threads
+        // last, Postgres would put NULLs first on DESC)
+        { lastMessageAt: { sort: "desc", nulls: "last" } },
         // Fallback if lastMessageAt is null
         { startedAt: "desc" },
       ],
@@ -137,8 +101,6 @@ export default async function handler(req, res) {
     });
 
     // --- 3) Filter out totally empty threads, then cap at 20 ---
-    const MAX_CONVERSATIONS = 20;
-
     const usableConversations = rawConversations
       .filter((conv) => Boolean(conv.lastMessageAt || conv.startedAt))
       .slice(0, MAX_CONVERSATIONS);
@@ -151,17 +113,12 @@ export default async function handler(req, res) {
       lastMessageAt: conv.lastMessageAt,
       coachProfile: conv.coachProfile,
       workflow: conv.workflow,
+      archived: Boolean(conv.endedAt),
     }));
 
     return res.status(200).json({
       ok: true,
       conversations: payload,
     });
-  } catch (err) {
-    console.error("[Exerbud] /api/exerbud-conversations error:", err);
-    return res.status(500).json({
-      ok: false,
-      error: "Internal server error",
-    });
-  }
-}
+  },
+});
@@ -3,6 +3,8 @@
 
 const PDFDocument = require("pdfkit");
 const https = require("https");
+const { enforceRateLimit } = require("../lib/exerbudRateLimit");
+const { createHandler, HttpError } = require("../lib/exerbudHttp");
 
 const LOGO_URL =
   "https://cdn.shopify.com/s/files/1/0731/9882/9803/files/exerbudlogoblackfavicon_6093c857-65ce-4c64-8292-0597a6c6cf17.png?v=1763185899";
@@ -83,88 +85,77 @@ function writePlanContent(doc, content) {
   });
 }
 
-module.exports = async (req, res) => {
-  // Basic CORS
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+module.exports = createHandler({
+  name: "exerbud-pdf",
+  methods: ["POST"],
+  auth: "optional",
+  body: {
+    content: { type: "string" },
+    title: { type: "string", maxLength: 200 },
+  },
+  async handler(req, res, { body, identity }) {
+    await enforceRateLimit(req, res, { identity, kind: "pdf" });
 
-  if (req.method === "OPTIONS") {
-    return res.status(200).end();
-  }
+    const content = body.content || "";
+    const title = (body.title || "Current plan from Exerbud").trim();
 
-  if (req.method !== "POST") {
-    return res.status(405).json({ error: "Method not allowed" });
-  }
-
-  let body = req.body;
-  if (typeof body === "string") {
     try {
-      body = JSON.parse(body);
-    } catch (err) {
-      return res.status(400).json({ error: "Invalid JSON in request body" });
-    }
-  }
+      // Fetch logo
+      const logoBuffer = await fetchImageBuffer(LOGO_URL);
+
+      // Create PDF
+      const doc = new PDFDocument({
+        size: "A4",
+        margins: { top: 60, left: 50, right: 50, bottom: 60 },
+      });
+
+      const chunks = [];
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => {
+        const pdfBuffer = Buffer.concat(chunks);
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader(
+          "Content-Disposition",
+          'attachment; filename="exerbud-plan.pdf"'
+        );
+        res.status(200).send(pdfBuffer);
+      });
+
+      // Header with logo & brand
+      try {
+        doc.image(logoBuffer, 50, 40, { width: 40 });
+      } catch (e) {
+        console.error("Failed to draw logo in PDF:", e);
+      }
 
-  const content = body?.content || "";
-  const title = (body?.title || "Current plan from Exerbud").trim();
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(18)
+        .text("EXERBUD", 100, 46, { continued: false });
 
-  try {
-    // Fetch logo
-    const logoBuffer = await fetchImageBuffer(LOGO_URL);
+      doc.moveDown(1.4);
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(14)
+        .text(title, { width: 500 });
 
-    // Create PDF
-    const doc = new PDFDocument({
-      size: "A4",
-      margins: { top: 60, left: 50, right: 50, bottom: 60 },
-    });
+      doc.moveDown(0.5);
+      doc
+        .font("Helvetica")
+        .fontSize(10)
+        .fillColor("#555555")
+        .text("Generated by Exerbud AI", { width: 500 });
 
-    const chunks = [];
-    doc.on("data", (chunk) => chunks.push(chunk));
-    doc.on("end", () => {
-      const pdfBuffer = Buffer.concat(chunks);
-      res.setHeader("Content-Type", "application/pdf");
-      res.setHeader(
-        "Content-Disposition",
-        'attachment; filename="exerbud-plan.pdf"'
-      );
-      res.status(200).send(pdfBuffer);
-    });
+      doc.fillColor("#000000");
+      doc.moveDown(1);
 
-    // Header with logo & brand
-    try {
-      doc.image(logoBuffer, 50, 40, { width: 40 });
-    } catch (e) {
-      console.error("Failed to draw logo in PDF:", e);
-    }
+      // Body
+      writePlanContent(doc, content);
 
-    doc
-      .font("Helvetica-Bold")
-      .fontSize(18)
-      .text("EXERBUD", 100, 46, { continued: false });
-
-    doc.moveDown(1.4);
-    doc
-      .font("Helvetica-Bold")
-      .fontSize(14)
-      .text(title, { width: 500 });
-
-    doc.moveDown(0.5);
-    doc
-      .font("Helvetica")
-      .fontSize(10)
-      .fillColor("#555555")
-      .text("Generated by Exerbud AI", { width: 500 });
-
-    doc.fillColor("#000000");
-    doc.moveDown(1);
-
-    // Body
-    writePlanContent(doc, content);
-
-    doc.end();
-  } catch (err) {
-    console.error("PDF generation error:", err);
-    res.status(500).json({ error: "Failed to generate PDF." });
-  }
-};
+      doc.end();
+    } catch (err) {
+      console.error("PDF generation error:", err);
+      throw new HttpError(500, "pdf_failed", "Failed to generate PDF.");
+    }
+  },
+});
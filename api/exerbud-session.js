@@ -0,0 +1,129 @@
+// ======================================================================
+// EXERBUD SESSION API (issues signed session tokens)
+// - Via the Shopify App Proxy with a logged-in customer
+//   → short-lived customer token for "shopify:<customer id>"
+// - Otherwise → guest token; a still-valid guest token sent as
+//   Authorization: Bearer is renewed for the same guest
+// - Customer login with a guest token (Authorization: Bearer, or
+//   `guestToken` in the query / body) → that guest's history is merged
+//   into the customer account (see lib/exerbudAccountMerge.js)
+// Response: { ok, token, expiresAt, externalId, type, guestMerge }
+// The widget sends the token as Authorization: Bearer on every other call.
+// ======================================================================
+
+const {
+  verifySessionToken,
+  signSessionToken,
+  issueGuestSession,
+  identityFromAppProxy,
+  bearerToken,
+  searchParamsOf,
+  IDENTITY_GUEST,
+} = require("../lib/exerbudAuth");
+const { mergeGuestIntoCustomer } = require("../lib/exerbudAccountMerge");
+const { createHandler, HttpError } = require("../lib/exerbudHttp");
+
+// Best-effort: a failed merge is retried on the next login (the widget
+// keeps its guest token until guestMerge.merged comes back true)
+async function mergeGuestHistory(guestToken, customerExternalId) {
+  const guest = verifySessionToken(guestToken);
+  if (!guest || guest.type !== IDENTITY_GUEST) return null;
+
+  if (!process.env.DATABASE_URL) {
+    return { merged: false, reason: "persistence_disabled" };
+  }
+
+  try {
+    const result = await mergeGuestIntoCustomer({
+      guestExternalId: guest.externalId,
+      customerExternalId,
+    });
+    if (result.merged) {
+      console.log(
+        "[Exerbud] exerbud-session: merged",
+        guest.externalId,
+        "into",
+        customerExternalId,
+        result.counts
+      );
+    }
+    return result;
+  } catch (err) {
+    console.error(
+      "[Exerbud] exerbud-session: guest merge failed:",
+      err && err.message ? err.message : err
+    );
+    return { merged: false, reason: "merge_failed" };
+  }
+}
+
+// App Proxy requests can arrive as GET or POST
+module.exports = createHandler({
+  name: "exerbud-session",
+  methods: ["GET", "POST"],
+  body: {
+    guestToken: { type: "string" },
+  },
+  async handler(req, res, { body }) {
+    const params = searchParamsOf(req);
+    let session = null;
+    let identity = null;
+    let guestMerge = null;
+
+    // --------------------------------------------------------------
+    // Shopify customer (signed App Proxy request)
+    // --------------------------------------------------------------
+    if (params.has("signature")) {
+      identity = identityFromAppProxy(params);
+
+      if (!identity && params.get("logged_in_customer_id")) {
+        throw new HttpError(
+          401,
+          "invalid_signature",
+          "App Proxy signature is invalid or expired"
+        );
+      }
+
+      if (identity) {
+        session = signSessionToken({ externalId: identity.externalId });
+        guestMerge = await mergeGuestHistory(
+          body.guestToken || params.get("guestToken") || bearerToken(req),
+          identity.externalId
+        );
+      }
+    }
+
+    // --------------------------------------------------------------
+    // Guest: renew a valid guest token, else start a new guest
+    // --------------------------------------------------------------
+    if (!identity) {
+      const existing = verifySessionToken(bearerToken(req));
+
+      if (existing && existing.type === IDENTITY_GUEST) {
+        identity = existing;
+        session = signSessionToken({ externalId: existing.externalId });
+      } else {
+        const guest = issueGuestSession();
+        identity = guest && guest.identity;
+        session = guest;
+      }
+    }
+
+    if (!session) {
+      throw new HttpError(
+        503,
+        "sessions_disabled",
+        "EXERBUD_SESSION_SECRET is not configured"
+      );
+    }
+
+    return res.status(200).json({
+      ok: true,
+      token: session.token,
+      expiresAt: session.expiresAt,
+      externalId: identity.externalId,
+      type: identity.type,
+      guestMerge,
+    });
+  },
+});
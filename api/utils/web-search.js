@@ -4,6 +4,20 @@ const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
 const GOOGLE_CX = process.env.GOOGLE_CX;
 const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY; // for static map thumbnails
 
+// "google" (default) or "fake" (canned results, no network: local dev / tests)
+const SEARCH_PROVIDER = (process.env.EXERBUD_SEARCH_PROVIDER || "google")
+  .trim()
+  .toLowerCase();
+
+/**
+ * True when webSearch can return real (or fake) results, i.e. when it is
+ * worth offering to the model as a tool.
+ */
+function isWebSearchEnabled() {
+  if (SEARCH_PROVIDER === "fake") return true;
+  return SEARCH_PROVIDER === "google" && Boolean(GOOGLE_API_KEY && GOOGLE_CX);
+}
+
 /**
  * Build a Google Static Maps URL for a given place/query.
  * Returns null if GOOGLE_MAPS_API_KEY is not set.
@@ -29,10 +43,35 @@ function buildStaticMapUrl(placeTitle, originalQuery) {
 }
 
 /**
- * Run a Google Custom Search for the given query.
- * Returns a small array of { title, url, snippet, mapImageUrl } objects.
+ * Deterministic stand-in for Google: same query → same cards.
+ */
+function fakeSearch(query) {
+  const slug =
+    String(query || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "query";
+
+  return [1, 2, 3].map((n) => {
+    const title = `Example result ${n} for "${query}"`;
+    return {
+      title,
+      url: `https://example.com/${slug}/${n}`,
+      snippet: `Fake search result ${n} (EXERBUD_SEARCH_PROVIDER=fake).`,
+      mapImageUrl: buildStaticMapUrl(title, query),
+    };
+  });
+}
+
+/**
+ * Run a web search for the given query (Google Custom Search, or the fake
+ * provider). Returns a small array of { title, url, snippet, mapImageUrl }.
  */
 async function webSearch(query) {
+  if (SEARCH_PROVIDER === "fake") {
+    return fakeSearch(query);
+  }
+
   if (!GOOGLE_API_KEY || !GOOGLE_CX) {
     console.warn(
       "webSearch: GOOGLE_API_KEY or GOOGLE_CX missing, skipping web search."
@@ -84,4 +123,4 @@ async function webSearch(query) {
   }
 }
 
-module.exports = { webSearch };
+module.exports = { webSearch, isWebSearchEnabled };
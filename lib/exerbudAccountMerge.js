@@ -0,0 +1,155 @@
+// lib/exerbudAccountMerge.js
+// Move a guest's history onto their Shopify customer account after login.
+//
+// Everything happens in one transaction, and the guest User row is deleted
+// at the end, so a retry either redoes the whole merge or finds no guest
+// and returns { merged: false, reason: "guest_not_found" }.
+
+const prisma = require("./prisma");
+const { mergeProfileMemories } = require("./exerbudMemory");
+
+// Rows that simply change owner (no unique keys involving userId)
+const OWNED_MODELS = [
+  "conversation",
+  "message",
+  "upload",
+  "progressEvent",
+  "workoutPlan",
+  "workoutSession",
+  "bodyMetric",
+  "safetyEvent",
+];
+
+// (userId, messageId) is unique: drop the guest's copy if the customer
+// already hid / pinned the same message, move the rest
+async function moveMessageFlags(tx, model, fromId, toId) {
+  const existing = await tx[model].findMany({
+    where: { userId: toId },
+    select: { messageId: true },
+  });
+
+  const duplicates = await tx[model].deleteMany({
+    where: {
+      userId: fromId,
+      messageId: { in: existing.map((row) => row.messageId) },
+    },
+  });
+  const moved = await tx[model].updateMany({
+    where: { userId: fromId },
+    data: { userId: toId },
+  });
+
+  return { moved: moved.count, dropped: duplicates.count };
+}
+
+// userId is unique on UserProfileMemory: move it, or fold it into theirs
+async function moveProfileMemory(tx, fromId, toId) {
+  const guestMemory = await tx.userProfileMemory.findUnique({
+    where: { userId: fromId },
+  });
+  if (!guestMemory) return "none";
+
+  const customerMemory = await tx.userProfileMemory.findUnique({
+    where: { userId: toId },
+  });
+
+  if (!customerMemory) {
+    await tx.userProfileMemory.update({
+      where: { id: guestMemory.id },
+      data: { userId: toId },
+    });
+    return "moved";
+  }
+
+  await tx.userProfileMemory.update({
+    where: { id: customerMemory.id },
+    data: mergeProfileMemories(customerMemory, guestMemory),
+  });
+  await tx.userProfileMemory.delete({ where: { id: guestMemory.id } });
+  return "merged";
+}
+
+// Only one active plan per user: keep the newest, archive the rest
+async function archiveOlderActivePlans(tx, userId) {
+  const active = await tx.workoutPlan.findMany({
+    where: { userId, status: "active" },
+    orderBy: { createdAt: "desc" },
+    select: { id: true },
+  });
+  if (active.length <= 1) return 0;
+
+  const archived = await tx.workoutPlan.updateMany({
+    where: { id: { in: active.slice(1).map((p) => p.id) } },
+    data: { status: "archived" },
+  });
+  return archived.count;
+}
+
+/**
+ * Merge `guest:<uuid>` into `shopify:<id>` (created if it doesn't exist
+ * yet). Returns { merged, reason?, counts? }. Throws on DB errors; the
+ * transaction leaves both users untouched in that case.
+ */
+async function mergeGuestIntoCustomer({ guestExternalId, customerExternalId }) {
+  if (
+    !String(guestExternalId || "").startsWith("guest:") ||
+    !String(customerExternalId || "").startsWith("shopify:")
+  ) {
+    return { merged: false, reason: "invalid_identities" };
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const guest = await tx.user.findUnique({
+      where: { externalId: guestExternalId },
+    });
+    if (!guest) return { merged: false, reason: "guest_not_found" };
+
+    const customer = await tx.user.upsert({
+      where: { externalId: customerExternalId },
+      update: {},
+      create: { externalId: customerExternalId },
+    });
+
+    const counts = {};
+    for (const model of OWNED_MODELS) {
+      const result = await tx[model].updateMany({
+        where: { userId: guest.id },
+        data: { userId: customer.id },
+      });
+      counts[model] = result.count;
+    }
+
+    counts.hiddenMessage = await moveMessageFlags(
+      tx,
+      "hiddenMessage",
+      guest.id,
+      customer.id
+    );
+    counts.pinnedMessage = await moveMessageFlags(
+      tx,
+      "pinnedMessage",
+      guest.id,
+      customer.id
+    );
+    counts.profileMemory = await moveProfileMemory(tx, guest.id, customer.id);
+    counts.archivedPlans = await archiveOlderActivePlans(tx, customer.id);
+
+    // deleteMany: a concurrent merge may already have removed it
+    await tx.user.deleteMany({ where: { id: guest.id } });
+
+    // Keep a known email if the customer row has none (unique, so only
+    // after the guest row is gone)
+    if (guest.email && !customer.email) {
+      await tx.user.update({
+        where: { id: customer.id },
+        data: { email: guest.email },
+      });
+    }
+
+    return { merged: true, counts };
+  });
+}
+
+module.exports = {
+  mergeGuestIntoCustomer,
+};
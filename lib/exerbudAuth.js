@@ -0,0 +1,238 @@
+// lib/exerbudAuth.js
+// Verified request identity. Routes never trust externalId / email params;
+// the user comes from one of:
+// - a signed session token (Authorization: Bearer <token>), issued by
+//   /api/exerbud-session to Shopify customers (short-lived) and guests
+// - a Shopify App Proxy request (signed query string, logged_in_customer_id)
+//
+// Env:
+// - EXERBUD_SESSION_SECRET        HMAC key for session tokens (required)
+// - SHOPIFY_API_SECRET            app secret Shopify signs proxy requests with
+// - EXERBUD_SESSION_TTL_SECONDS   customer token lifetime (default 1h)
+// - EXERBUD_GUEST_TTL_SECONDS     guest token lifetime (default 30 days)
+// - EXERBUD_PROXY_MAX_AGE_SECONDS reject older proxy signatures (default 5m)
+
+const crypto = require("crypto");
+
+const IDENTITY_CUSTOMER = "customer";
+const IDENTITY_GUEST = "guest";
+
+const DEFAULT_SESSION_TTL = 60 * 60;
+const DEFAULT_GUEST_TTL = 30 * 24 * 60 * 60;
+const DEFAULT_PROXY_MAX_AGE = 5 * 60;
+
+// Tokens are compact HS256 JWTs so they can be inspected with standard tools
+const TOKEN_HEADER = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+function envSeconds(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isNaN(n) || n <= 0 ? fallback : n;
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function hmac(secret, data, encoding) {
+  return crypto.createHmac("sha256", secret).update(data).digest(encoding);
+}
+
+function sessionSecret() {
+  const secret = process.env.EXERBUD_SESSION_SECRET;
+  if (!secret) {
+    console.error("[Exerbud] EXERBUD_SESSION_SECRET is not set; sessions disabled");
+    return null;
+  }
+  return secret;
+}
+
+function identityTypeFor(externalId) {
+  return String(externalId).startsWith("shopify:")
+    ? IDENTITY_CUSTOMER
+    : IDENTITY_GUEST;
+}
+
+// --------------------------------------------------------------
+// Session tokens
+// --------------------------------------------------------------
+
+/**
+ * Sign a session token for an externalId ("shopify:123" | "guest:uuid").
+ * Returns { token, expiresAt } or null when no secret is configured.
+ */
+function signSessionToken({ externalId, ttlSeconds }) {
+  const secret = sessionSecret();
+  if (!secret || !externalId) return null;
+
+  const type = identityTypeFor(externalId);
+  const ttl =
+    ttlSeconds ||
+    (type === IDENTITY_CUSTOMER
+      ? envSeconds("EXERBUD_SESSION_TTL_SECONDS", DEFAULT_SESSION_TTL)
+      : envSeconds("EXERBUD_GUEST_TTL_SECONDS", DEFAULT_GUEST_TTL));
+
+  const iat = nowSeconds();
+  const payload = base64url(
+    JSON.stringify({ sub: externalId, typ: type, iat, exp: iat + ttl })
+  );
+  const signature = hmac(secret, `${TOKEN_HEADER}.${payload}`, "base64url");
+
+  return {
+    token: `${TOKEN_HEADER}.${payload}.${signature}`,
+    expiresAt: new Date((iat + ttl) * 1000).toISOString(),
+  };
+}
+
+/**
+ * Verify a session token. Returns { externalId, type, via: "session" }
+ * or null if it is malformed, tampered with or expired.
+ */
+function verifySessionToken(token) {
+  const secret = sessionSecret();
+  if (!secret || typeof token !== "string") return null;
+
+  const parts = token.split(".");
+  if (parts.length !== 3 || parts[0] !== TOKEN_HEADER) return null;
+
+  const expected = hmac(secret, `${parts[0]}.${parts[1]}`, "base64url");
+  if (!safeEqual(parts[2], expected)) return null;
+
+  let claims = null;
+  try {
+    claims = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+
+  if (!claims || typeof claims.sub !== "string" || !claims.sub) return null;
+  if (typeof claims.exp !== "number" || claims.exp <= nowSeconds()) return null;
+  // The prefix decides the type; a guest token can't claim to be a customer
+  if (claims.typ !== identityTypeFor(claims.sub)) return null;
+
+  return {
+    externalId: claims.sub,
+    type: claims.typ,
+    via: "session",
+    expiresAt: new Date(claims.exp * 1000).toISOString(),
+  };
+}
+
+/**
+ * New guest identity + token.
+ */
+function issueGuestSession() {
+  const externalId = `guest:${crypto.randomUUID()}`;
+  const session = signSessionToken({ externalId });
+  if (!session) return null;
+  return {
+    identity: { externalId, type: IDENTITY_GUEST, via: "session" },
+    ...session,
+  };
+}
+
+// --------------------------------------------------------------
+// Shopify App Proxy
+// --------------------------------------------------------------
+
+/**
+ * Check the `signature` Shopify adds to App Proxy requests: HMAC-SHA256
+ * (hex) of the other params sorted by key, each "key=value" (repeated
+ * keys joined with ","), concatenated without separators.
+ */
+function verifyAppProxySignature(searchParams) {
+  const secret = process.env.SHOPIFY_API_SECRET;
+  const signature = searchParams && searchParams.get("signature");
+  if (!secret || !signature) return false;
+
+  const keys = [...new Set([...searchParams.keys()])]
+    .filter((key) => key !== "signature")
+    .sort();
+  const message = keys
+    .map((key) => `${key}=${searchParams.getAll(key).join(",")}`)
+    .join("");
+
+  if (!safeEqual(signature, hmac(secret, message, "hex"))) return false;
+
+  const timestamp = parseInt(searchParams.get("timestamp"), 10);
+  const maxAge = envSeconds("EXERBUD_PROXY_MAX_AGE_SECONDS", DEFAULT_PROXY_MAX_AGE);
+  return (
+    !Number.isNaN(timestamp) && Math.abs(nowSeconds() - timestamp) <= maxAge
+  );
+}
+
+/**
+ * Customer identity from a signed App Proxy request, or null when the
+ * signature is missing / invalid or nobody is logged in.
+ */
+function identityFromAppProxy(searchParams) {
+  if (!verifyAppProxySignature(searchParams)) return null;
+
+  const customerId = searchParams.get("logged_in_customer_id");
+  if (!customerId || !/^\d+$/.test(customerId)) return null;
+
+  return {
+    externalId: `shopify:${customerId}`,
+    type: IDENTITY_CUSTOMER,
+    via: "app_proxy",
+  };
+}
+
+// --------------------------------------------------------------
+// Requests
+// --------------------------------------------------------------
+
+function searchParamsOf(req) {
+  try {
+    return new URL(req.url || "/", "http://localhost").searchParams;
+  } catch {
+    return new URLSearchParams();
+  }
+}
+
+function bearerToken(req) {
+  const header = (req.headers && req.headers.authorization) || "";
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * The verified identity for a request, or null.
+ * { externalId, type: "customer" | "guest", via: "session" | "app_proxy" }
+ */
+function resolveIdentity(req) {
+  const token = bearerToken(req);
+  if (token) {
+    const identity = verifySessionToken(token);
+    if (identity) return identity;
+  }
+
+  const params = searchParamsOf(req);
+  if (params.has("signature")) {
+    return identityFromAppProxy(params);
+  }
+
+  return null;
+}
+
+module.exports = {
+  IDENTITY_CUSTOMER,
+  IDENTITY_GUEST,
+  signSessionToken,
+  verifySessionToken,
+  issueGuestSession,
+  verifyAppProxySignature,
+  identityFromAppProxy,
+  resolveIdentity,
+  bearerToken,
+  searchParamsOf,
+};
@@ -0,0 +1,242 @@
+// lib/exerbudBodyMetrics.js
+// Body measurements: manual entries and body_scan vision estimates.
+// Values are stored in the units they were given (weightUnit / lengthUnit);
+// trends convert everything to one unit system before comparing.
+
+const { isLlmEnabled, chatJson } = require("./exerbudLlm");
+const prisma = require("./prisma");
+
+const WEIGHT_UNITS = ["kg", "lb"];
+const LENGTH_UNITS = ["cm", "in"];
+const LENGTH_FIELDS = ["waist", "hip", "chest", "arm"];
+const METRIC_FIELDS = ["weight", "bodyFatPct", ...LENGTH_FIELDS];
+
+const KG_PER_LB = 0.45359237;
+const CM_PER_IN = 2.54;
+
+const NUMBER_OR_NULL = { type: ["number", "null"] };
+
+const BODY_SCAN_JSON_SCHEMA = {
+  name: "body_scan_metrics",
+  strict: true,
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    required: ["weight", "weightUnit", "bodyFatPct", "waist", "hip", "chest", "arm", "lengthUnit"],
+    properties: {
+      weight: NUMBER_OR_NULL,
+      weightUnit: { type: "string", enum: WEIGHT_UNITS },
+      bodyFatPct: NUMBER_OR_NULL,
+      waist: NUMBER_OR_NULL,
+      hip: NUMBER_OR_NULL,
+      chest: NUMBER_OR_NULL,
+      arm: NUMBER_OR_NULL,
+      lengthUnit: { type: "string", enum: LENGTH_UNITS },
+    },
+  },
+};
+
+// Plausible ranges (in the given unit) so typos don't wreck trends
+const RANGES = {
+  weight: { kg: [25, 350], lb: [55, 770] },
+  length: { cm: [10, 250], in: [4, 100] },
+  bodyFatPct: [2, 70],
+};
+
+function inRange(value, [min, max]) {
+  const n = typeof value === "number" ? value : parseFloat(value);
+  if (!Number.isFinite(n) || n < min || n > max) return null;
+  return Math.round(n * 10) / 10;
+}
+
+function isProvided(value) {
+  return value !== undefined && value !== null && value !== "";
+}
+
+/**
+ * Validate + normalise a measurement. Returns { metric } with at least one
+ * value, or { error } (plus `field` for "out_of_range").
+ * A value that was given but is non-numeric / implausible is an error,
+ * unless `lenient` (model output), where it is dropped.
+ */
+function normalizeBodyMetric(raw, { lenient = false } = {}) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const weightUnit = src.weightUnit || "kg";
+  const lengthUnit = src.lengthUnit || "cm";
+
+  if (!WEIGHT_UNITS.includes(weightUnit)) return { error: "invalid_weight_unit" };
+  if (!LENGTH_UNITS.includes(lengthUnit)) return { error: "invalid_length_unit" };
+
+  const ranges = {
+    weight: RANGES.weight[weightUnit],
+    bodyFatPct: RANGES.bodyFatPct,
+  };
+  LENGTH_FIELDS.forEach((field) => {
+    ranges[field] = RANGES.length[lengthUnit];
+  });
+
+  const metric = { weightUnit, lengthUnit };
+  for (const field of METRIC_FIELDS) {
+    metric[field] = inRange(src[field], ranges[field]);
+    if (metric[field] === null && isProvided(src[field]) && !lenient) {
+      return { error: "out_of_range", field };
+    }
+  }
+
+  if (!METRIC_FIELDS.some((field) => metric[field] !== null)) {
+    return { error: "no_measurements" };
+  }
+
+  return { metric };
+}
+
+/**
+ * Pull numbers out of a body_scan reply (body-fat estimate from the
+ * image, plus anything the user stated). Best-effort: null on failure.
+ */
+async function extractBodyScanMetrics({ userMessage, reply }) {
+  if (!isLlmEnabled() || !reply) return null;
+
+  try {
+    const raw = await chatJson({
+      task: "body_extract",
+      temperature: 0,
+      maxTokens: 200,
+      schema: BODY_SCAN_JSON_SCHEMA,
+      messages: [
+        {
+          role: "system",
+          content:
+            "Extract body measurements from a body-scan conversation. " +
+            "bodyFatPct: the coach's body-fat estimate (midpoint of a range). " +
+            "weight, waist, hip, chest, arm: only values the user stated or the coach explicitly measured. " +
+            "Use null for anything not given; never guess.",
+        },
+        {
+          role: "user",
+          content: `User: ${String(userMessage || "(photo only)").slice(
+            0,
+            800
+          )}\n\nCoach:\n${String(reply).slice(0, 4000)}`,
+        },
+      ],
+    });
+
+    // Implausible model values are dropped, not fatal
+    const { metric } = normalizeBodyMetric(raw, { lenient: true });
+    return metric || null;
+  } catch (err) {
+    console.error(
+      "[Exerbud] Body scan extraction failed:",
+      err && err.message ? err.message : err
+    );
+    return null;
+  }
+}
+
+/**
+ * Best-effort: parse + store metrics for a body_scan exchange.
+ */
+async function captureBodyScanMetrics({
+  userId,
+  conversationId,
+  messageId,
+  userMessage,
+  reply,
+}) {
+  const metric = await extractBodyScanMetrics({ userMessage, reply });
+  if (!metric) return null;
+
+  try {
+    return await prisma.bodyMetric.create({
+      data: {
+        userId,
+        conversationId: conversationId || null,
+        messageId: messageId || null,
+        source: "body_scan",
+        ...metric,
+      },
+    });
+  } catch (err) {
+    console.error(
+      "[Exerbud] Failed to save body metrics:",
+      err && err.message ? err.message : err
+    );
+    return null;
+  }
+}
+
+function convertWeight(value, from, to) {
+  if (value === null || value === undefined || from === to) return value ?? null;
+  const kg = from === "lb" ? value * KG_PER_LB : value;
+  const out = to === "lb" ? kg / KG_PER_LB : kg;
+  return Math.round(out * 10) / 10;
+}
+
+function convertLength(value, from, to) {
+  if (value === null || value === undefined || from === to) return value ?? null;
+  const cm = from === "in" ? value * CM_PER_IN : value;
+  const out = to === "in" ? cm / CM_PER_IN : cm;
+  return Math.round(out * 10) / 10;
+}
+
+/**
+ * Convert a stored row to one unit system ("metric" | "imperial").
+ */
+function toUnitSystem(row, system = "metric") {
+  const weightUnit = system === "imperial" ? "lb" : "kg";
+  const lengthUnit = system === "imperial" ? "in" : "cm";
+
+  const out = {
+    id: row.id,
+    source: row.source,
+    measuredAt: new Date(row.measuredAt).toISOString(),
+    conversationId: row.conversationId || null,
+    weight: convertWeight(row.weight, row.weightUnit, weightUnit),
+    bodyFatPct: row.bodyFatPct ?? null,
+    weightUnit,
+    lengthUnit,
+    notes: row.notes || null,
+  };
+  LENGTH_FIELDS.forEach((field) => {
+    out[field] = convertLength(row[field], row.lengthUnit, lengthUnit);
+  });
+  return out;
+}
+
+/**
+ * First / latest value + change for each field over (already converted,
+ * oldest → newest) entries.
+ */
+function computeTrends(entries) {
+  const trends = {};
+
+  METRIC_FIELDS.forEach((field) => {
+    const points = entries.filter((e) => e[field] !== null);
+    if (!points.length) {
+      trends[field] = null;
+      return;
+    }
+    const first = points[0];
+    const latest = points[points.length - 1];
+    trends[field] = {
+      first: first[field],
+      firstAt: first.measuredAt,
+      latest: latest[field],
+      latestAt: latest.measuredAt,
+      change: Math.round((latest[field] - first[field]) * 10) / 10,
+      points: points.map((p) => ({ at: p.measuredAt, value: p[field] })),
+    };
+  });
+
+  return trends;
+}
+
+module.exports = {
+  METRIC_FIELDS,
+  normalizeBodyMetric,
+  extractBodyScanMetrics,
+  captureBodyScanMetrics,
+  toUnitSystem,
+  computeTrends,
+};
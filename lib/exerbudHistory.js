@@ -0,0 +1,122 @@
+// lib/exerbudHistory.js
+// Builds the prior-turns context for the chat endpoints.
+// - With persistence + a conversationId: load from the database.
+// - Otherwise (guest / no DB): fall back to the client-sent `history`.
+// Either way the result is trimmed to a rough token budget.
+
+const prisma = require("./prisma");
+
+const DEFAULT_TOKEN_BUDGET = 3000;
+
+// Newest messages we even consider before budgeting
+const MAX_DB_MESSAGES = 60;
+
+function getTokenBudget() {
+  const n = parseInt(process.env.EXERBUD_HISTORY_TOKEN_BUDGET, 10);
+  return Number.isNaN(n) || n <= 0 ? DEFAULT_TOKEN_BUDGET : n;
+}
+
+// ~4 characters per token is close enough for budgeting English chat
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4) + 4;
+}
+
+/**
+ * Keep the most recent messages that fit in `budget` tokens.
+ * Input and output are oldest → newest.
+ */
+function fitToTokenBudget(messages, budget = getTokenBudget()) {
+  const kept = [];
+  let used = 0;
+
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(messages[i].content);
+    if (used + cost > budget) break;
+    kept.push(messages[i]);
+    used += cost;
+  }
+
+  return kept.reverse();
+}
+
+/**
+ * Normalise the client `history` array: user/assistant roles only
+ * (a client must never inject "system" turns), non-empty string content.
+ */
+function sanitizeClientHistory(rawHistory) {
+  if (!Array.isArray(rawHistory)) return [];
+
+  return rawHistory
+    .map((m) => ({
+      role: m && m.role === "assistant" ? "assistant" : "user",
+      content:
+        m && typeof m.content === "string" ? m.content.trim() : "",
+    }))
+    .filter((m) => m.content);
+}
+
+/**
+ * Load prior turns for a conversation owned by `externalId`,
+ * skipping messages that user has hidden. Returns [] when the
+ * conversation is new or belongs to someone else.
+ */
+async function loadConversationHistory({ conversationId, externalId }) {
+  const conversation = await prisma.conversation.findFirst({
+    where: {
+      id: conversationId,
+      user: { externalId },
+    },
+    select: { id: true, userId: true },
+  });
+
+  if (!conversation) return [];
+
+  const rows = await prisma.message.findMany({
+    where: {
+      conversationId: conversation.id,
+      hiddenBy: { none: { userId: conversation.userId } },
+    },
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    take: MAX_DB_MESSAGES,
+    select: { role: true, content: true },
+  });
+
+  return rows
+    .reverse()
+    .map((m) => ({ role: m.role, content: m.content }))
+    .filter((m) => m.content);
+}
+
+/**
+ * Resolve the history to send to the model for this request.
+ * Returns { history, source } where source is "db" or "client".
+ */
+async function resolveHistory({ conversationId, externalId, clientHistory }) {
+  if (conversationId && externalId && process.env.DATABASE_URL) {
+    try {
+      const dbHistory = await loadConversationHistory({
+        conversationId,
+        externalId,
+      });
+      return { history: fitToTokenBudget(dbHistory), source: "db" };
+    } catch (err) {
+      console.error(
+        "[Exerbud] Failed to load history from DB, using client history:",
+        err && err.message ? err.message : err
+      );
+    }
+  }
+
+  return {
+    history: fitToTokenBudget(sanitizeClientHistory(clientHistory)),
+    source: "client",
+  };
+}
+
+module.exports = {
+  estimateTokens,
+  fitToTokenBudget,
+  sanitizeClientHistory,
+  loadConversationHistory,
+  resolveHistory,
+};
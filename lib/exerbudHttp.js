@@ -0,0 +1,289 @@
+// lib/exerbudHttp.js
+// Shared request pipeline for every api/*.js route:
+//   CORS allowlist → preflight / method check → JSON body → validation →
+//   identity / user → handler → one error envelope.
+//
+// Errors always look like { ok: false, error: "<code>", message, details? }
+// with a real HTTP status (400 validation, 401 auth, 404 missing,
+// 429 rate limited, 503 persistence disabled, 500 unexpected).
+//
+// Env:
+// - EXERBUD_ALLOWED_ORIGINS  comma-separated origins; "*" wildcards allowed
+//   for preview deployments, e.g.
+//   "https://exerbud.com,https://staging.exerbud.com,https://exerbud-*.vercel.app"
+//   (EXERBUD_ALLOWED_ORIGIN, a single origin, is still read as a fallback)
+
+const prisma = require("./prisma");
+const { resolveIdentity } = require("./exerbudAuth");
+
+const DEFAULT_ORIGIN = "https://exerbud.com";
+const ALLOWED_HEADERS = "Content-Type, Authorization, X-Exerbud-Stream-Version";
+const METHODS_WITH_BODY = ["POST", "PUT", "PATCH"];
+
+class HttpError extends Error {
+  constructor(status, code, message, details) {
+    super(message || code);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// --------------------------------------------------------------
+// CORS
+// --------------------------------------------------------------
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+let originMatchers = null;
+
+function loadOriginMatchers() {
+  if (originMatchers) return originMatchers;
+
+  const raw =
+    process.env.EXERBUD_ALLOWED_ORIGINS ||
+    process.env.EXERBUD_ALLOWED_ORIGIN ||
+    DEFAULT_ORIGIN;
+
+  originMatchers = raw
+    .split(",")
+    .map((origin) => origin.trim().replace(/\/+$/, ""))
+    .filter(Boolean)
+    .map(
+      (origin) =>
+        new RegExp(`^${origin.split("*").map(escapeRegExp).join("[^/.]+")}$`)
+    );
+  return originMatchers;
+}
+
+function isOriginAllowed(origin) {
+  return Boolean(origin) && loadOriginMatchers().some((re) => re.test(origin));
+}
+
+/**
+ * Echo the request Origin back only if it is on the allowlist.
+ * Requests without an Origin (server-to-server, App Proxy) need no CORS.
+ */
+function applyCors(req, res, methods) {
+  const origin = req.headers && req.headers.origin;
+
+  res.setHeader("Vary", "Origin");
+  if (isOriginAllowed(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+  }
+  res.setHeader(
+    "Access-Control-Allow-Methods",
+    [...methods, "OPTIONS"].join(", ")
+  );
+  res.setHeader("Access-Control-Allow-Headers", ALLOWED_HEADERS);
+}
+
+// --------------------------------------------------------------
+// Body + validation
+// --------------------------------------------------------------
+
+/**
+ * Parse a JSON body (Vercel may give an object, a string or a Buffer).
+ */
+function parseJsonBody(req) {
+  let body = req.body;
+  if (Buffer.isBuffer(body)) body = body.toString("utf8");
+  if (typeof body === "string") {
+    if (!body.trim()) return {};
+    try {
+      body = JSON.parse(body);
+    } catch {
+      throw new HttpError(400, "invalid_json", "Request body is not valid JSON");
+    }
+  }
+  if (body === undefined || body === null) return {};
+  if (typeof body !== "object" || Array.isArray(body)) {
+    throw new HttpError(400, "invalid_json", "Request body must be a JSON object");
+  }
+  return body;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  return value === null ? "null" : typeof value;
+}
+
+/**
+ * Check `input` against a schema:
+ *   { field: { type, required, enum, maxLength, min, max, missing, invalid } }
+ * type: "string" | "number" | "boolean" | "array" | "object" | "numeric"
+ * ("numeric" also accepts numeric strings, e.g. from query params).
+ * `missing` / `invalid` override the error codes (default missing_<field>,
+ * invalid_<field>). Unknown fields are left alone.
+ */
+function validate(schema, input) {
+  const src = input || {};
+
+  Object.entries(schema || {}).forEach(([field, rule]) => {
+    const value = src[field];
+    const empty = value === undefined || value === null || value === "";
+
+    if (empty) {
+      if (rule.required) {
+        throw new HttpError(
+          400,
+          rule.missing || `missing_${field}`,
+          `${field} is required`
+        );
+      }
+      return;
+    }
+
+    const invalid = (reason) =>
+      new HttpError(400, rule.invalid || `invalid_${field}`, `${field} ${reason}`, {
+        field,
+      });
+
+    if (rule.type === "numeric") {
+      if (!Number.isFinite(Number(value))) throw invalid("must be a number");
+    } else if (rule.type && typeOf(value) !== rule.type) {
+      throw invalid(`must be of type ${rule.type}`);
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      throw invalid(`must be one of: ${rule.enum.join(", ")}`);
+    }
+    if (rule.maxLength && String(value).length > rule.maxLength) {
+      throw invalid(`must be at most ${rule.maxLength} characters`);
+    }
+    if (rule.min !== undefined && Number(value) < rule.min) {
+      throw invalid(`must be at least ${rule.min}`);
+    }
+    if (rule.max !== undefined && Number(value) > rule.max) {
+      throw invalid(`must be at most ${rule.max}`);
+    }
+  });
+
+  return src;
+}
+
+// --------------------------------------------------------------
+// Errors
+// --------------------------------------------------------------
+
+function sendError(res, err, name) {
+  if (res.headersSent) return;
+
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({
+      ok: false,
+      error: err.code,
+      message: err.message,
+      ...(err.details ? { details: err.details } : {}),
+    });
+  }
+
+  console.error(`[Exerbud] ${name} error:`, err);
+  return res.status(500).json({
+    ok: false,
+    error: "internal_error",
+    message: "Internal server error",
+  });
+}
+
+// --------------------------------------------------------------
+// Handler wrapper
+// --------------------------------------------------------------
+
+/**
+ * Build a route handler.
+ * - name:    used in logs ("exerbud-account-body")
+ * - methods: allowed methods (OPTIONS is always answered with 204)
+ * - auth:    "user"     → verified identity + existing User row (ctx.user)
+ *            "identity" → verified identity required (ctx.identity)
+ *            "optional" → ctx.identity may be null
+ * - db:      require DATABASE_URL (implied by auth: "user")
+ * - body:    schema for JSON bodies, or { METHOD: schema }
+ * - query:   schema for the query string, or { METHOD: schema }
+ * - handler(req, res, ctx) with ctx = { body, query (URLSearchParams),
+ *   identity, user, prisma }
+ */
+function createHandler({
+  name,
+  methods,
+  auth,
+  db = auth === "user",
+  body: bodySchema,
+  query: querySchema,
+  handler,
+}) {
+  // { POST: {...}, PUT: {...} } vs a single schema for every method
+  const schemaFor = (schema, method) =>
+    schema && Object.keys(schema).every((key) => /^[A-Z]+$/.test(key))
+      ? schema[method]
+      : schema;
+
+  return async function exerbudRoute(req, res) {
+    applyCors(req, res, methods);
+    res.setHeader("Cache-Control", "no-store");
+
+    if (req.method === "OPTIONS") {
+      return res.status(204).end();
+    }
+
+    try {
+      if (!methods.includes(req.method)) {
+        res.setHeader("Allow", [...methods, "OPTIONS"].join(", "));
+        throw new HttpError(405, "method_not_allowed", "Method not allowed");
+      }
+
+      let query = null;
+      try {
+        query = new URL(req.url || "/", "http://localhost").searchParams;
+      } catch {
+        query = new URLSearchParams();
+      }
+      validate(schemaFor(querySchema, req.method), Object.fromEntries(query));
+
+      const body = METHODS_WITH_BODY.includes(req.method)
+        ? validate(schemaFor(bodySchema, req.method), parseJsonBody(req))
+        : {};
+
+      const ctx = { body, query, identity: null, user: null, prisma };
+
+      if (auth) {
+        ctx.identity = resolveIdentity(req);
+        if (!ctx.identity && auth !== "optional") {
+          throw new HttpError(401, "unauthorized", "Missing or invalid session");
+        }
+      }
+
+      if (db && !process.env.DATABASE_URL) {
+        console.log(`[Exerbud] ${name}: DATABASE_URL missing`);
+        throw new HttpError(503, "persistence_disabled", "Persistence is disabled");
+      }
+
+      if (auth === "user") {
+        ctx.user = await prisma.user.findUnique({
+          where: { externalId: ctx.identity.externalId },
+          select: { id: true, externalId: true, email: true },
+        });
+        if (!ctx.user) {
+          throw new HttpError(404, "user_not_found", "No data for this user yet");
+        }
+      }
+
+      return await handler(req, res, ctx);
+    } catch (err) {
+      return sendError(res, err, name);
+    }
+  };
+}
+
+module.exports = {
+  HttpError,
+  applyCors,
+  isOriginAllowed,
+  parseJsonBody,
+  validate,
+  sendError,
+  createHandler,
+};
@@ -0,0 +1,138 @@
+// lib/exerbudLlm.js
+// Provider-neutral LLM layer: chat, streaming, vision and structured output.
+//
+// Request: {
+//   task,                 // picks the model (see MODEL_DEFAULTS)
+//   model?,               // explicit override
+//   messages: [{ role, content }]   content: string or parts
+//     parts: { type: "text", text } | { type: "image", mimeType, data | url }
+//     assistant tool calls: { role: "assistant", content, toolCalls }
+//     tool results:         { role: "tool", toolCallId, content }
+//   temperature?, maxTokens?,
+//   tools?: [{ name, description, parameters }], toolChoice?: "auto" | "none",
+//   schema?: "json" | { name, strict, schema }   // structured output
+// }
+// Providers implement chat → { content, toolCalls: [{ id, name, arguments }] },
+// stream → async iterable of { type: "text", text } | { type: "tool_calls" },
+// json → parsed object.
+//
+// Env:
+// - EXERBUD_LLM_PROVIDER   "openai" (default) or "mock" (offline, deterministic)
+// - EXERBUD_MODEL_<TASK>   per-task model, e.g. EXERBUD_MODEL_FOOD_SCAN=gpt-4.1
+//   (older EXERBUD_MEAL_MODEL / EXERBUD_TITLE_MODEL / ... are still read)
+//
+// Migrating from EXERBUD_MODEL: it now only applies to vision and the
+// workflows (food_scan, body_scan, fitness_plan). Plain chat moves to the
+// cheaper MODEL_DEFAULTS.chat; set EXERBUD_MODEL_CHAT to keep the old model.
+
+const PROVIDERS = {
+  openai: () => require("./exerbudLlmOpenAI"),
+  mock: () => require("./exerbudLlmMock"),
+};
+
+// Vision-heavy workflows get the larger model, plain chat the cheaper one
+const MODEL_DEFAULTS = {
+  chat: "gpt-4.1-mini",
+  vision: "gpt-4.1",
+  food_scan: "gpt-4.1",
+  body_scan: "gpt-4.1",
+  fitness_plan: "gpt-4.1",
+  title: "gpt-4.1-mini",
+  meal_extract: "gpt-4.1-mini",
+  body_extract: "gpt-4.1-mini",
+  plan_extract: "gpt-4.1-mini",
+  memory: "gpt-4.1-mini",
+  safety: "gpt-4.1-mini",
+};
+
+// Env names used before per-task settings existed. EXERBUD_MODEL is left
+// off chat on purpose so plain chat gets the cheaper default
+const LEGACY_MODEL_ENV = {
+  vision: "EXERBUD_MODEL",
+  food_scan: "EXERBUD_MODEL",
+  body_scan: "EXERBUD_MODEL",
+  fitness_plan: "EXERBUD_MODEL",
+  title: "EXERBUD_TITLE_MODEL",
+  meal_extract: "EXERBUD_MEAL_MODEL",
+  body_extract: "EXERBUD_BODY_MODEL",
+  plan_extract: "EXERBUD_PLAN_MODEL",
+  memory: "EXERBUD_MEMORY_MODEL",
+  safety: "EXERBUD_SAFETY_MODEL",
+};
+
+const CHAT_WORKFLOWS = ["food_scan", "body_scan", "fitness_plan"];
+
+let provider = null;
+
+function getLlmProvider() {
+  if (provider) return provider;
+
+  const name = (process.env.EXERBUD_LLM_PROVIDER || "openai").trim().toLowerCase();
+  if (!PROVIDERS[name]) {
+    console.warn(`[Exerbud] Unknown EXERBUD_LLM_PROVIDER "${name}", using openai`);
+  }
+  provider = (PROVIDERS[name] || PROVIDERS.openai)();
+  return provider;
+}
+
+/**
+ * False when the provider has no credentials (e.g. OPENAI_API_KEY unset);
+ * best-effort extractors skip themselves in that case.
+ */
+function isLlmEnabled() {
+  return getLlmProvider().isConfigured();
+}
+
+function resolveModel(task) {
+  const key = `EXERBUD_MODEL_${String(task || "chat").toUpperCase()}`;
+  return (
+    process.env[key] ||
+    process.env[LEGACY_MODEL_ENV[task]] ||
+    MODEL_DEFAULTS[task] ||
+    MODEL_DEFAULTS.chat
+  );
+}
+
+/**
+ * Task for a coach reply: the workflow if any, "vision" when images are
+ * attached, otherwise plain "chat".
+ */
+function chatTaskFor({ workflow, hasImages }) {
+  if (CHAT_WORKFLOWS.includes(workflow)) return workflow;
+  return hasImages ? "vision" : "chat";
+}
+
+/**
+ * Base64 image attachment → provider-neutral image part.
+ */
+function imagePart({ type, data }) {
+  return { type: "image", mimeType: type || "image/jpeg", data };
+}
+
+function withModel(request) {
+  return { ...request, model: request.model || resolveModel(request.task) };
+}
+
+async function chat(request) {
+  return getLlmProvider().chat(withModel(request));
+}
+
+function streamChat(request) {
+  return getLlmProvider().stream(withModel(request));
+}
+
+async function chatJson(request) {
+  return getLlmProvider().json(withModel(request));
+}
+
+module.exports = {
+  MODEL_DEFAULTS,
+  getLlmProvider,
+  isLlmEnabled,
+  resolveModel,
+  chatTaskFor,
+  imagePart,
+  chat,
+  streamChat,
+  chatJson,
+};
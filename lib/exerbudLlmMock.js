@@ -0,0 +1,127 @@
+// lib/exerbudLlmMock.js
+// Deterministic, offline LLM provider for local development and tests
+// (EXERBUD_LLM_PROVIDER=mock). Same request → same response, no network.
+//
+// - chat: echoes what it was given (model, images, tool results, user text)
+// - tools: calls the first tool once when the user asks to "find" something
+//   "near" a place, so the web_search flow can run end to end
+// - json: an empty-but-valid object for the requested JSON schema
+
+function textOf(content) {
+  if (!Array.isArray(content)) return String(content || "");
+  return content
+    .filter((part) => part.type === "text")
+    .map((part) => part.text)
+    .join("\n");
+}
+
+function imageCount(content) {
+  return Array.isArray(content)
+    ? content.filter((part) => part.type === "image").length
+    : 0;
+}
+
+function lastUserMessage(messages) {
+  for (let i = messages.length - 1; i >= 0; i -= 1) {
+    if (messages[i].role === "user") return messages[i];
+  }
+  return null;
+}
+
+function wantsSearch(request, userText) {
+  return (
+    Boolean(request.tools && request.tools.length) &&
+    request.toolChoice !== "none" &&
+    !request.messages.some((m) => m.role === "tool") &&
+    /\b(find|near|nearby|closest|around)\b/i.test(userText)
+  );
+}
+
+// First result card the tools returned, for a citation in the reply
+function firstToolResult(messages) {
+  const toolMessage = messages.find((m) => m.role === "tool");
+  if (!toolMessage) return null;
+  try {
+    const parsed = JSON.parse(toolMessage.content);
+    return (parsed.results && parsed.results[0]) || null;
+  } catch {
+    return null;
+  }
+}
+
+function buildReply(request) {
+  const user = lastUserMessage(request.messages);
+  const userText = user ? textOf(user.content).trim() : "";
+  const images = user ? imageCount(user.content) : 0;
+  const result = firstToolResult(request.messages);
+
+  const lines = [`Mock coach reply (${request.model}).`];
+  if (images) lines.push(`I can see ${images} image(s).`);
+  if (result) lines.push(`Top result: ${result.title} [${result.ref}].`);
+  if (userText) lines.push(`You said: "${userText.slice(0, 160)}"`);
+  return lines.join("\n");
+}
+
+// Smallest value that satisfies a JSON schema node
+function emptyValue(node) {
+  if (!node) return null;
+  const types = Array.isArray(node.type) ? node.type : [node.type];
+  if (types.includes("null")) return null;
+  if (types.includes("object")) {
+    const value = {};
+    Object.entries(node.properties || {}).forEach(([key, child]) => {
+      value[key] = emptyValue(child);
+    });
+    return value;
+  }
+  if (types.includes("array")) return [];
+  if (types.includes("string")) return node.enum ? node.enum[0] : "";
+  if (types.includes("number") || types.includes("integer")) return 0;
+  if (types.includes("boolean")) return false;
+  return null;
+}
+
+async function chat(request) {
+  const user = lastUserMessage(request.messages);
+  const userText = user ? textOf(user.content) : "";
+
+  if (wantsSearch(request, userText)) {
+    return {
+      content: "",
+      toolCalls: [
+        {
+          id: "mock_call_1",
+          name: request.tools[0].name,
+          arguments: JSON.stringify({ query: userText.trim().slice(0, 200) }),
+        },
+      ],
+    };
+  }
+
+  return { content: buildReply(request), toolCalls: [] };
+}
+
+async function* stream(request) {
+  const { content, toolCalls } = await chat(request);
+
+  // Word-sized deltas, like a real stream
+  for (const piece of content.match(/\S+\s*|\s+/g) || []) {
+    yield { type: "text", text: piece };
+  }
+  if (toolCalls.length) {
+    yield { type: "tool_calls", toolCalls };
+  }
+}
+
+async function json(request) {
+  if (!request.schema || request.schema === "json") return {};
+  return emptyValue(request.schema.schema);
+}
+
+module.exports = {
+  name: "mock",
+  isConfigured: () => true,
+  chat,
+  stream,
+  json,
+};
@@ -0,0 +1,149 @@
+// lib/exerbudLlmOpenAI.js
+// OpenAI implementation of the LLM provider interface (see lib/exerbudLlm.js).
+// Translates the provider-neutral request into chat.completions calls.
+
+const OpenAI = require("openai");
+
+let client = null;
+
+function getClient() {
+  if (!client) {
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return client;
+}
+
+function toOpenAIContent(content) {
+  if (!Array.isArray(content)) return content;
+
+  return content.map((part) => {
+    if (part.type === "image") {
+      return {
+        type: "image_url",
+        image_url: {
+          url: part.url || `data:${part.mimeType || "image/jpeg"};base64,${part.data}`,
+        },
+      };
+    }
+    return { type: "text", text: part.text };
+  });
+}
+
+function toOpenAIMessage(message) {
+  if (message.role === "tool") {
+    return {
+      role: "tool",
+      tool_call_id: message.toolCallId,
+      content: message.content,
+    };
+  }
+
+  if (message.role === "assistant" && message.toolCalls && message.toolCalls.length) {
+    return {
+      role: "assistant",
+      content: message.content || null,
+      tool_calls: message.toolCalls.map((call) => ({
+        id: call.id,
+        type: "function",
+        function: { name: call.name, arguments: call.arguments },
+      })),
+    };
+  }
+
+  return { role: message.role, content: toOpenAIContent(message.content) };
+}
+
+function toOpenAIRequest(request) {
+  const payload = {
+    model: request.model,
+    messages: request.messages.map(toOpenAIMessage),
+  };
+
+  if (request.temperature !== undefined) payload.temperature = request.temperature;
+  if (request.maxTokens) payload.max_tokens = request.maxTokens;
+
+  if (request.tools && request.tools.length) {
+    payload.tools = request.tools.map((tool) => ({
+      type: "function",
+      function: tool,
+    }));
+    payload.tool_choice = request.toolChoice || "auto";
+  }
+
+  if (request.schema === "json") {
+    payload.response_format = { type: "json_object" };
+  } else if (request.schema) {
+    payload.response_format = { type: "json_schema", json_schema: request.schema };
+  }
+
+  return payload;
+}
+
+function fromOpenAIToolCalls(toolCalls) {
+  return (toolCalls || []).map((call) => ({
+    id: call.id,
+    name: call.function.name,
+    arguments: call.function.arguments || "",
+  }));
+}
+
+async function chat(request) {
+  const completion = await getClient().chat.completions.create(
+    toOpenAIRequest(request)
+  );
+  const message = completion.choices?.[0]?.message || {};
+
+  return {
+    content: message.content || "",
+    toolCalls: fromOpenAIToolCalls(message.tool_calls),
+  };
+}
+
+// Text deltas as they arrive; tool calls are assembled from their
+// fragments and yielded once at the end
+async function* stream(request) {
+  const chunks = await getClient().chat.completions.create({
+    ...toOpenAIRequest(request),
+    stream: true,
+  });
+
+  const calls = [];
+
+  for await (const chunk of chunks) {
+    const delta = chunk.choices?.[0]?.delta;
+    if (!delta) continue;
+
+    if (delta.content) {
+      yield { type: "text", text: delta.content };
+    }
+
+    (delta.tool_calls || []).forEach((part) => {
+      const call = (calls[part.index] = calls[part.index] || {
+        id: "",
+        name: "",
+        arguments: "",
+      });
+      if (part.id) call.id = part.id;
+      if (part.function?.name) call.name += part.function.name;
+      if (part.function?.arguments) call.arguments += part.function.arguments;
+    });
+  }
+
+  const toolCalls = calls.filter(Boolean);
+  if (toolCalls.length) {
+    yield { type: "tool_calls", toolCalls };
+  }
+}
+
+async function json(request) {
+  const { content } = await chat({ ...request, schema: request.schema || "json" });
+  return JSON.parse(content || "{}");
+}
+
+module.exports = {
+  name: "openai",
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+  chat,
+  stream,
+  json,
+};
@@ -0,0 +1,144 @@
+// lib/exerbudMealScan.js
+// Structured meal-scan results for workflow "food_scan".
+// The human-readable reply is unchanged; this turns it into numbers we can
+// store in the meal_log ProgressEvent payload and sum up reliably.
+//
+// Shape (payload.meal):
+// {
+//   schemaVersion: 1,
+//   items: [{ name, portion, calories, proteinG, carbsG, fatG }],
+//   totals: { calories, proteinG, carbsG, fatG },
+//   confidence: 0..1
+// }
+
+const { isLlmEnabled, chatJson } = require("./exerbudLlm");
+
+const MEAL_SCHEMA_VERSION = 1;
+
+const NUMBER_OR_NULL = { type: ["number", "null"] };
+
+const MEAL_JSON_SCHEMA = {
+  name: "meal_scan",
+  strict: true,
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    required: ["items", "confidence"],
+    properties: {
+      items: {
+        type: "array",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          required: ["name", "portion", "calories", "proteinG", "carbsG", "fatG"],
+          properties: {
+            name: { type: "string" },
+            portion: { type: ["string", "null"] },
+            calories: NUMBER_OR_NULL,
+            proteinG: NUMBER_OR_NULL,
+            carbsG: NUMBER_OR_NULL,
+            fatG: NUMBER_OR_NULL,
+          },
+        },
+      },
+      confidence: { type: "number" },
+    },
+  },
+};
+
+function toNumber(value) {
+  const n = typeof value === "number" ? value : parseFloat(value);
+  return Number.isFinite(n) && n >= 0 ? Math.round(n * 10) / 10 : null;
+}
+
+function sumField(items, field) {
+  const values = items.map((i) => i[field]).filter((v) => v !== null);
+  if (!values.length) return null;
+  return Math.round(values.reduce((a, b) => a + b, 0) * 10) / 10;
+}
+
+/**
+ * Validate + normalise a raw meal object (from the model or a user edit).
+ * Totals are always recomputed from items. Returns null if unusable.
+ */
+function normalizeMeal(raw) {
+  if (!raw || !Array.isArray(raw.items)) return null;
+
+  const items = raw.items
+    .filter((i) => i && typeof i.name === "string" && i.name.trim())
+    .slice(0, 30)
+    .map((i) => ({
+      name: i.name.trim().slice(0, 120),
+      portion: typeof i.portion === "string" && i.portion.trim()
+        ? i.portion.trim().slice(0, 120)
+        : null,
+      calories: toNumber(i.calories),
+      proteinG: toNumber(i.proteinG),
+      carbsG: toNumber(i.carbsG),
+      fatG: toNumber(i.fatG),
+    }));
+
+  if (!items.length) return null;
+
+  const confidence = toNumber(raw.confidence);
+
+  return {
+    schemaVersion: MEAL_SCHEMA_VERSION,
+    items,
+    totals: {
+      calories: sumField(items, "calories"),
+      proteinG: sumField(items, "proteinG"),
+      carbsG: sumField(items, "carbsG"),
+      fatG: sumField(items, "fatG"),
+    },
+    confidence: confidence === null ? null : Math.min(confidence, 1),
+  };
+}
+
+/**
+ * Turn a food_scan reply into structured meal data.
+ * Best-effort: returns null on any failure.
+ */
+async function extractMealScan({ userMessage, reply }) {
+  if (!isLlmEnabled() || !reply) return null;
+
+  try {
+    const raw = await chatJson({
+      task: "meal_extract",
+      temperature: 0,
+      maxTokens: 700,
+      schema: MEAL_JSON_SCHEMA,
+      messages: [
+        {
+          role: "system",
+          content:
+            "Convert a nutrition coach's meal analysis into structured data. " +
+            "List each food item with its portion and estimated calories, protein, carbs and fat in grams. " +
+            "Use the coach's numbers when given; otherwise estimate. Use null when truly unknown. " +
+            "confidence is 0-1: how sure the analysis is about items and portions.",
+        },
+        {
+          role: "user",
+          content: `User note: ${String(userMessage || "(photo only)").slice(
+            0,
+            500
+          )}\n\nCoach analysis:\n${String(reply).slice(0, 4000)}`,
+        },
+      ],
+    });
+
+    return normalizeMeal(raw);
+  } catch (err) {
+    console.error(
+      "[Exerbud] Meal scan extraction failed:",
+      err && err.message ? err.message : err
+    );
+    return null;
+  }
+}
+
+module.exports = {
+  MEAL_SCHEMA_VERSION,
+  normalizeMeal,
+  extractMealScan,
+};
@@ -0,0 +1,267 @@
+// lib/exerbudMemory.js
+// Long-term coaching memory backed by UserProfileMemory
+//
+// Columns: goals, trainingLevel, injuries, preferredCoach
+// data (Json): {
+//   equipment: string | null,
+//   dietaryRestrictions: string | null,
+//   notes: [{ id, text, createdAt }],  // other durable facts
+//   targets: { inputs, results, ... }  // see lib/exerbudTargets.js
+// }
+
+const { randomUUID } = require("crypto");
+const { isLlmEnabled, chatJson } = require("./exerbudLlm");
+const prisma = require("./prisma");
+const { formatTargetsForPrompt } = require("./exerbudTargets");
+
+const COLUMN_FIELDS = ["goals", "trainingLevel", "injuries", "preferredCoach"];
+const DATA_FIELDS = ["equipment", "dietaryRestrictions"];
+const MAX_NOTES = 20;
+const MAX_FIELD_LENGTH = 300;
+
+// Cheap gate so we only pay for extraction when the user talks about themselves
+const PERSONAL_HINT =
+  /\b(i|i'm|im|i've|my|me|mine)\b|\b(goal|injur|pain|allerg|vegan|vegetarian|intoleran|equipment|dumbbell|barbell|gym)/i;
+
+function cleanValue(value) {
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim();
+  return trimmed ? trimmed.slice(0, MAX_FIELD_LENGTH) : null;
+}
+
+function normalizeData(data) {
+  const src = data && typeof data === "object" && !Array.isArray(data) ? data : {};
+  return {
+    ...src,
+    equipment: cleanValue(src.equipment),
+    dietaryRestrictions: cleanValue(src.dietaryRestrictions),
+    notes: Array.isArray(src.notes) ? src.notes.filter((n) => n && n.text) : [],
+  };
+}
+
+/**
+ * Load the memory row for a user (by externalId). Returns null if none.
+ */
+async function loadProfileMemory({ externalId }) {
+  if (!externalId || !process.env.DATABASE_URL) return null;
+
+  try {
+    return await prisma.userProfileMemory.findFirst({
+      where: { user: { externalId } },
+    });
+  } catch (err) {
+    console.error(
+      "[Exerbud] Failed to load profile memory:",
+      err && err.message ? err.message : err
+    );
+    return null;
+  }
+}
+
+/**
+ * Render memory as a system-prompt block, or "" if there is nothing useful.
+ */
+function formatMemoryForPrompt(memory) {
+  if (!memory) return "";
+
+  const data = normalizeData(memory.data);
+  const lines = [];
+
+  if (memory.goals) lines.push(`- Goals: ${memory.goals}`);
+  if (memory.trainingLevel) lines.push(`- Training level: ${memory.trainingLevel}`);
+  if (memory.injuries) lines.push(`- Injuries / limitations: ${memory.injuries}`);
+  if (data.equipment) lines.push(`- Equipment: ${data.equipment}`);
+  if (data.dietaryRestrictions)
+    lines.push(`- Dietary restrictions: ${data.dietaryRestrictions}`);
+  if (memory.preferredCoach) lines.push(`- Preferred coaching style: ${memory.preferredCoach}`);
+  data.notes.forEach((n) => lines.push(`- ${n.text}`));
+
+  const targetsLine = formatTargetsForPrompt(data.targets);
+  if (targetsLine) lines.push(targetsLine);
+
+  if (!lines.length) return "";
+
+  return [
+    "What you already know about this user (from earlier conversations):",
+    ...lines,
+    "Use this to personalise advice without asking again. If they say something has changed, go with the new information.",
+  ].join("\n");
+}
+
+/**
+ * Public shape for the "What Exerbud knows about you" panel.
+ */
+function serializeProfileMemory(memory) {
+  const data = normalizeData(memory && memory.data);
+  return {
+    exists: Boolean(memory),
+    goals: (memory && memory.goals) || null,
+    trainingLevel: (memory && memory.trainingLevel) || null,
+    injuries: (memory && memory.injuries) || null,
+    preferredCoach: (memory && memory.preferredCoach) || null,
+    equipment: data.equipment,
+    dietaryRestrictions: data.dietaryRestrictions,
+    notes: data.notes,
+    targets: data.targets || null,
+    updatedAt: memory && memory.updatedAt
+      ? new Date(memory.updatedAt).toISOString()
+      : null,
+  };
+}
+
+/**
+ * Ask the model which durable facts this exchange adds or changes.
+ * Returns { goals, trainingLevel, injuries, preferredCoach, equipment,
+ * dietaryRestrictions, notes: [string] } with null for "no change".
+ */
+async function extractMemoryUpdates({ userMessage, reply, memory }) {
+  if (!isLlmEnabled()) return null;
+
+  const known = formatMemoryForPrompt(memory) || "(nothing yet)";
+
+  return chatJson({
+    task: "memory",
+    temperature: 0,
+    maxTokens: 300,
+    schema: "json",
+    messages: [
+      {
+        role: "system",
+        content: [
+          "You maintain long-term memory for a fitness coach.",
+          "From the user's latest message, extract only DURABLE personal facts the user stated about themselves:",
+          "goals, trainingLevel (beginner/intermediate/advanced + context), injuries (include side, e.g. 'bad left shoulder'),",
+          "equipment available, dietaryRestrictions, preferredCoach (style they asked for), and other long-lived notes.",
+          "Ignore one-off questions, the coach's suggestions and anything temporary.",
+          "When a field changes, return the full new value merged with what is known. Use null for unchanged fields.",
+          'Reply with JSON: {"goals":null,"trainingLevel":null,"injuries":null,"preferredCoach":null,"equipment":null,"dietaryRestrictions":null,"notes":[]}',
+        ].join(" "),
+      },
+      {
+        role: "user",
+        content: `Known so far:\n${known}\n\nUser said:\n${String(
+          userMessage || ""
+        ).slice(0, 2000)}\n\nCoach replied (context only):\n${String(
+          reply || ""
+        ).slice(0, 800)}`,
+      },
+    ],
+  });
+}
+
+/**
+ * Merge extracted updates into the stored row. Returns the row, or null
+ * if nothing changed.
+ */
+async function applyMemoryUpdates({ userId, memory, updates }) {
+  if (!updates || typeof updates !== "object") return null;
+
+  const columnChanges = {};
+  COLUMN_FIELDS.forEach((field) => {
+    const value = cleanValue(updates[field]);
+    if (value && value !== (memory && memory[field])) columnChanges[field] = value;
+  });
+
+  const data = normalizeData(memory && memory.data);
+  let dataChanged = false;
+
+  DATA_FIELDS.forEach((field) => {
+    const value = cleanValue(updates[field]);
+    if (value && value !== data[field]) {
+      data[field] = value;
+      dataChanged = true;
+    }
+  });
+
+  const existingNotes = new Set(data.notes.map((n) => n.text.toLowerCase()));
+  (Array.isArray(updates.notes) ? updates.notes : []).forEach((raw) => {
+    const text = cleanValue(raw);
+    if (!text || existingNotes.has(text.toLowerCase())) return;
+    existingNotes.add(text.toLowerCase());
+    data.notes.push({ id: randomUUID(), text, createdAt: new Date().toISOString() });
+    dataChanged = true;
+  });
+  data.notes = data.notes.slice(-MAX_NOTES);
+
+  if (!Object.keys(columnChanges).length && !dataChanged) return null;
+
+  const changes = { ...columnChanges, ...(dataChanged ? { data } : {}) };
+
+  return prisma.userProfileMemory.upsert({
+    where: { userId },
+    update: changes,
+    create: { userId, ...changes },
+  });
+}
+
+/**
+ * Combine two memory rows for the same person (guest → customer merge).
+ * The more recently updated row wins field by field, falling back to the
+ * other one where it has nothing; notes are unioned (deduped by text).
+ * Returns the { ...columns, data } to store.
+ */
+function mergeProfileMemories(a, b) {
+  const [older, newer] =
+    new Date(a.updatedAt || 0) <= new Date(b.updatedAt || 0) ? [a, b] : [b, a];
+  const olderData = normalizeData(older.data);
+  const newerData = normalizeData(newer.data);
+
+  const merged = {};
+  COLUMN_FIELDS.forEach((field) => {
+    merged[field] = newer[field] || older[field] || null;
+  });
+
+  const data = { ...olderData, ...newerData };
+  DATA_FIELDS.forEach((field) => {
+    data[field] = newerData[field] || olderData[field] || null;
+  });
+  data.targets = newerData.targets || olderData.targets || undefined;
+
+  const seen = new Set();
+  data.notes = [...olderData.notes, ...newerData.notes]
+    .sort((x, y) => new Date(x.createdAt || 0) - new Date(y.createdAt || 0))
+    .filter((n) => {
+      const key = n.text.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(-MAX_NOTES);
+
+  merged.data = data;
+  return merged;
+}
+
+/**
+ * After an exchange, extract durable facts and store them.
+ * Best-effort: never throws.
+ */
+async function updateProfileMemoryFromExchange({ userId, userMessage, reply }) {
+  if (!userId || !userMessage || !PERSONAL_HINT.test(userMessage)) return null;
+
+  try {
+    const memory = await prisma.userProfileMemory.findUnique({
+      where: { userId },
+    });
+    const updates = await extractMemoryUpdates({ userMessage, reply, memory });
+    return await applyMemoryUpdates({ userId, memory, updates });
+  } catch (err) {
+    console.error(
+      "[Exerbud] Failed to update profile memory:",
+      err && err.message ? err.message : err
+    );
+    return null;
+  }
+}
+
+module.exports = {
+  COLUMN_FIELDS,
+  DATA_FIELDS,
+  normalizeData,
+  cleanValue,
+  loadProfileMemory,
+  formatMemoryForPrompt,
+  serializeProfileMemory,
+  mergeProfileMemories,
+  updateProfileMemoryFromExchange,
+};
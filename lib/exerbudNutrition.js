@@ -0,0 +1,154 @@
+// lib/exerbudNutrition.js
+// Day / week macro totals for meal_log ProgressEvents, in the user's timezone
+
+const MACRO_FIELDS = ["calories", "proteinG", "carbsG", "fatG"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Return a valid IANA timezone, falling back to UTC.
+ */
+function resolveTimeZone(tz) {
+  if (!tz) return "UTC";
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return tz;
+  } catch {
+    return "UTC";
+  }
+}
+
+/**
+ * "YYYY-MM-DD" for an instant, as seen in `timeZone`.
+ */
+function dayKeyInTimeZone(date, timeZone) {
+  // en-CA formats as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(new Date(date));
+}
+
+/**
+ * Monday (YYYY-MM-DD) of the week containing a day key.
+ */
+function weekKeyForDay(dayKey) {
+  const d = new Date(`${dayKey}T00:00:00Z`);
+  const offset = (d.getUTCDay() + 6) % 7; // Mon=0 … Sun=6
+  return new Date(d.getTime() - offset * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Real calendar date in YYYY-MM-DD form (rejects 2025-13-45, 2025-02-30)
+function isDayKey(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const d = new Date(`${value}T00:00:00Z`);
+  return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Resolve a [from, to] day-key range (inclusive) plus a padded UTC window
+ * wide enough to cover every timezone; rows are then filtered by day key.
+ * Missing from / to default to the last 7 days ending today; malformed
+ * ones, from after to or a span over MAX_RANGE_DAYS return
+ * { error: "invalid_range" }.
+ */
+function resolveDayRange({ from, to, timeZone }) {
+  if ((from && !isDayKey(from)) || (to && !isDayKey(to))) {
+    return { error: "invalid_range" };
+  }
+
+  const toKey = to || dayKeyInTimeZone(new Date(), timeZone);
+  const fromKey =
+    from ||
+    new Date(new Date(`${toKey}T00:00:00Z`).getTime() - 6 * DAY_MS)
+      .toISOString()
+      .slice(0, 10);
+
+  const spanDays =
+    (new Date(`${toKey}T00:00:00Z`) - new Date(`${fromKey}T00:00:00Z`)) / DAY_MS + 1;
+  if (spanDays < 1 || spanDays > MAX_RANGE_DAYS) {
+    return { error: "invalid_range" };
+  }
+
+  return {
+    fromKey,
+    toKey,
+    gte: new Date(new Date(`${fromKey}T00:00:00Z`).getTime() - DAY_MS),
+    lte: new Date(new Date(`${toKey}T00:00:00Z`).getTime() + 2 * DAY_MS),
+  };
+}
+
+function emptyTotals() {
+  return { meals: 0, calories: 0, proteinG: 0, carbsG: 0, fatG: 0 };
+}
+
+function addMeal(totals, meal) {
+  totals.meals += 1;
+  const mealTotals = (meal && meal.totals) || {};
+  MACRO_FIELDS.forEach((field) => {
+    if (typeof mealTotals[field] === "number") {
+      totals[field] = Math.round((totals[field] + mealTotals[field]) * 10) / 10;
+    }
+  });
+}
+
+/**
+ * Group meal_log events into per-day and per-week totals.
+ * Events outside [fromKey, toKey] (in `timeZone`) are dropped.
+ * Returns { meals, days, weeks }.
+ */
+function summarizeMealEvents(events, { timeZone, fromKey, toKey }) {
+  const byDay = {};
+  const byWeek = {};
+  const meals = [];
+
+  events.forEach((event) => {
+    const day = dayKeyInTimeZone(event.createdAt, timeZone);
+    if ((fromKey && day < fromKey) || (toKey && day > toKey)) return;
+
+    const meal = (event.payload && event.payload.meal) || null;
+    const week = weekKeyForDay(day);
+
+    byDay[day] = byDay[day] || emptyTotals();
+    byWeek[week] = byWeek[week] || emptyTotals();
+    addMeal(byDay[day], meal);
+    addMeal(byWeek[week], meal);
+
+    meals.push({
+      id: event.id,
+      day,
+      createdAt: new Date(event.createdAt).toISOString(),
+      conversationId: event.conversationId || null,
+      messageId: event.messageId || null,
+      edited: Boolean(event.payload && event.payload.editedAt),
+      meal,
+    });
+  });
+
+  const days = Object.keys(byDay)
+    .sort()
+    .map((day) => ({ day, ...byDay[day] }));
+  const weeks = Object.keys(byWeek)
+    .sort()
+    .map((weekStart) => ({
+      weekStart,
+      ...byWeek[weekStart],
+      daysLogged: days.filter((d) => weekKeyForDay(d.day) === weekStart).length,
+    }));
+
+  return { meals, days, weeks };
+}
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  MACRO_FIELDS,
+  resolveTimeZone,
+  dayKeyInTimeZone,
+  weekKeyForDay,
+  resolveDayRange,
+  summarizeMealEvents,
+};
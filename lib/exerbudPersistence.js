@@ -1,14 +1,32 @@
 // lib/exerbudPersistence.js
 // Minimal Prisma persistence layer for Exerbud AI
 
-const { PrismaClient } = require("@prisma/client");
+const prisma = require("./prisma");
+const { storeFile } = require("./exerbudStorage");
 
-// Avoid creating too many clients in serverless environments
-let prisma;
-if (!global._exerbudPrisma) {
-  global._exerbudPrisma = new PrismaClient();
+// Allowed enum values (mirror prisma/schema.prisma)
+const COACH_PROFILES = ["strength", "hypertrophy", "mobility", "fat_loss"];
+const WORKFLOWS = ["food_scan", "body_scan", "fitness_plan"];
+
+/**
+ * Upsert a User by externalId, keeping the latest email if we get one.
+ */
+async function upsertUser({ externalId, email }) {
+  if (!externalId) {
+    throw new Error("externalId is required for upsertUser");
+  }
+
+  return prisma.user.upsert({
+    where: { externalId },
+    update: {
+      ...(email ? { email } : {}),
+    },
+    create: {
+      externalId,
+      email: email || null,
+    },
+  });
 }
-prisma = global._exerbudPrisma;
 
 /**
  * Ensure we have a User + Conversation row for this request.
@@ -29,32 +47,30 @@ async function ensureUserAndConversation({
     throw new Error("externalId is required for ensureUserAndConversation");
   }
 
-  // Upsert user by externalId
-  const user = await prisma.user.upsert({
-    where: { externalId },
-    update: {
-      // keep latest email if we get one
-      ...(email ? { email } : {}),
-    },
-    create: {
-      externalId,
-      email: email || null,
-    },
-  });
+  const user = await upsertUser({ externalId, email });
 
   let conversation = null;
+  let reuseRequestedId = Boolean(conversationId);
 
   // If the frontend sent a conversationId, try to reuse it
   if (conversationId) {
     conversation = await prisma.conversation.findUnique({
       where: { id: conversationId },
     });
+
+    // Never attach messages to someone else's thread
+    if (conversation && conversation.userId !== user.id) {
+      conversation = null;
+      reuseRequestedId = false;
+    }
   }
 
-  // If none found, create a new conversation
+  // If none found, create a new conversation (keeping the client id when
+  // it was new to us, same as /api/exerbud-ai does with its upsert)
   if (!conversation) {
     conversation = await prisma.conversation.create({
       data: {
+        ...(reuseRequestedId ? { id: conversationId } : {}),
         userId: user.id,
         source: "shopify_widget",
         coachProfile: coachProfile || null,
@@ -66,6 +82,38 @@ async function ensureUserAndConversation({
   return { user, conversation };
 }
 
+/**
+ * Create a brand-new (empty) Conversation for a user, up front, so the
+ * drawer can show it before the first message is sent.
+ * Unknown coachProfile / workflow values are dropped rather than rejected.
+ */
+async function createConversation({
+  externalId,
+  email,
+  title,
+  source,
+  coachProfile,
+  workflow,
+}) {
+  const user = await upsertUser({ externalId, email });
+
+  const cleanTitle = typeof title === "string" ? title.trim().slice(0, 120) : "";
+
+  const conversation = await prisma.conversation.create({
+    data: {
+      userId: user.id,
+      source: source || "shopify_widget",
+      coachProfile: COACH_PROFILES.includes(coachProfile) ? coachProfile : null,
+      workflow: WORKFLOWS.includes(workflow) ? workflow : null,
+      title: cleanTitle || null,
+      // A title chosen up front counts as a rename: auto-titling skips it
+      titleSetByUser: Boolean(cleanTitle),
+    },
+  });
+
+  return { user, conversation };
+}
+
 /**
  * Save a user + assistant message pair for a conversation.
  */
@@ -74,6 +122,7 @@ async function saveMessagePair({
   userId,
   userMessage,
   assistantMessage,
+  promptVersion,
 }) {
   if (!conversationId || !userId) {
     throw new Error(
@@ -84,7 +133,7 @@ async function saveMessagePair({
   const userContent = userMessage || "";
   const assistantContent = assistantMessage || "";
 
-  // create both messages; transaction is nice but optional
+  // create both messages + bump lastMessageAt for the drawer
   const [userMsg, assistantMsg] = await prisma.$transaction([
     prisma.message.create({
       data: {
@@ -100,14 +149,116 @@ async function saveMessagePair({
         userId,
         role: "assistant",
         content: assistantContent,
+        promptVersion: promptVersion || null,
       },
     }),
+    prisma.conversation.update({
+      where: { id: conversationId },
+      data: { lastMessageAt: new Date() },
+    }),
   ]);
 
   return { userMsg, assistantMsg };
 }
 
+/**
+ * Save Upload rows for the attachments of a message (dashboard grid).
+ * Inline base64 attachments are written to blob storage (original +
+ * thumbnail); only URLs + metadata go into Postgres.
+ * `messageId` is the assistant reply that analysed them (gallery link).
+ * Returns the number of rows written.
+ */
+async function saveUploads({
+  userId,
+  conversationId,
+  messageId,
+  attachments,
+  workflow,
+}) {
+  if (!Array.isArray(attachments) || !attachments.length) return 0;
+
+  const uploadData = [];
+
+  for (const file of attachments) {
+    const mime = file.type || "application/octet-stream";
+    const base = {
+      userId,
+      conversationId,
+      messageId: messageId || null,
+      type: mime,
+      workflow: workflow || null,
+    };
+
+    // Prefer a real URL if the frontend sent one
+    if (typeof file.url === "string" && file.url.length) {
+      uploadData.push({ ...base, url: file.url });
+      continue;
+    }
+
+    if (!file.data || typeof file.data !== "string") continue;
+
+    try {
+      const stored = await storeFile({
+        userId,
+        buffer: Buffer.from(file.data, "base64"),
+        mime,
+      });
+      uploadData.push({ ...base, ...stored });
+    } catch (err) {
+      // Never fall back to a data: URL; the image would end up in Postgres
+      console.error(
+        "[Exerbud] Failed to store upload in blob storage:",
+        err && err.message ? err.message : err
+      );
+    }
+  }
+
+  if (!uploadData.length) return 0;
+
+  const result = await prisma.upload.createMany({ data: uploadData });
+  return result.count || 0;
+}
+
+// Which ProgressEvent type each workflow produces
+const PROGRESS_TYPE_BY_WORKFLOW = {
+  food_scan: "meal_log",
+  body_scan: "body_scan",
+  fitness_plan: "workout_plan",
+};
+
+/**
+ * Record a ProgressEvent for weekly stats, if the workflow has one.
+ * Returns the created event or null.
+ */
+async function recordProgressEvent({
+  userId,
+  conversationId,
+  messageId,
+  workflow,
+  payload,
+}) {
+  const type = PROGRESS_TYPE_BY_WORKFLOW[workflow];
+  if (!type) return null;
+
+  return prisma.progressEvent.create({
+    data: {
+      userId,
+      conversationId,
+      messageId: messageId || null,
+      type,
+      payload: { workflow, ...(payload || {}) },
+    },
+  });
+}
+
 module.exports = {
+  COACH_PROFILES,
+  WORKFLOWS,
+  upsertUser,
   ensureUserAndConversation,
+  createConversation,
   saveMessagePair,
+  saveUploads,
+  recordProgressEvent,
+  PROGRESS_TYPE_BY_WORKFLOW,
 };
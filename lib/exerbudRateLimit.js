@@ -0,0 +1,329 @@
+// lib/exerbudRateLimit.js
+// Postgres-backed token buckets for the AI + PDF endpoints.
+//
+// Each request spends one token from two buckets for its limit name:
+// - burst: `burst` tokens, refilled at `perMinute`
+// - daily: `daily` tokens, refilled evenly over 24h (rolling daily quota)
+// Customers are limited per user, guests per IP (guest ids are free to mint).
+// Guests also share one per-IP burst bucket across every limit name
+// ("ip" below), so switching endpoints doesn't multiply the burst.
+// The IP comes from headers the platform sets (x-vercel-forwarded-for,
+// x-real-ip), never from the client-controlled left end of X-Forwarded-For.
+//
+// Limit names: chat, vision (attachments without a workflow), food_scan,
+// body_scan, fitness_plan, pdf. Override any of them per identity type with
+// EXERBUD_RATE_LIMITS, e.g. {"guest":{"food_scan":{"daily":10}}}.
+// EXERBUD_RATE_LIMITS_DISABLED=1 turns limiting off (local development).
+
+const prisma = require("./prisma");
+const { IDENTITY_CUSTOMER, IDENTITY_GUEST } = require("./exerbudAuth");
+const { HttpError } = require("./exerbudHttp");
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const DEFAULT_LIMITS = {
+  [IDENTITY_GUEST]: {
+    chat: { burst: 6, perMinute: 2, daily: 40 },
+    vision: { burst: 2, perMinute: 0.5, daily: 6 },
+    food_scan: { burst: 2, perMinute: 0.5, daily: 6 },
+    body_scan: { burst: 1, perMinute: 0.25, daily: 3 },
+    fitness_plan: { burst: 2, perMinute: 0.5, daily: 5 },
+    pdf: { burst: 3, perMinute: 1, daily: 10 },
+    // Shared by all of the above (burst only)
+    ip: { burst: 8, perMinute: 3 },
+  },
+  [IDENTITY_CUSTOMER]: {
+    chat: { burst: 10, perMinute: 4, daily: 200 },
+    vision: { burst: 4, perMinute: 1, daily: 30 },
+    food_scan: { burst: 4, perMinute: 1, daily: 30 },
+    body_scan: { burst: 2, perMinute: 0.5, daily: 10 },
+    fitness_plan: { burst: 3, perMinute: 1, daily: 20 },
+    pdf: { burst: 5, perMinute: 2, daily: 50 },
+  },
+};
+
+const WORKFLOW_LIMITS = ["food_scan", "body_scan", "fitness_plan"];
+
+let cachedLimits = null;
+
+function loadLimits() {
+  if (cachedLimits) return cachedLimits;
+
+  let overrides = {};
+  if (process.env.EXERBUD_RATE_LIMITS) {
+    try {
+      overrides = JSON.parse(process.env.EXERBUD_RATE_LIMITS) || {};
+    } catch (err) {
+      console.error(
+        "[Exerbud] Invalid EXERBUD_RATE_LIMITS, using defaults:",
+        err && err.message ? err.message : err
+      );
+    }
+  }
+
+  cachedLimits = {};
+  Object.keys(DEFAULT_LIMITS).forEach((type) => {
+    cachedLimits[type] = {};
+    Object.keys(DEFAULT_LIMITS[type]).forEach((name) => {
+      cachedLimits[type][name] = {
+        ...DEFAULT_LIMITS[type][name],
+        ...((overrides[type] && overrides[type][name]) || {}),
+      };
+    });
+  });
+  return cachedLimits;
+}
+
+/**
+ * Which limit a request counts against.
+ */
+function resolveLimitName({ kind, workflow, hasAttachments }) {
+  if (kind === "pdf") return "pdf";
+  if (WORKFLOW_LIMITS.includes(workflow)) return workflow;
+  return hasAttachments ? "vision" : "chat";
+}
+
+function firstHop(value) {
+  return value ? String(value).split(",")[0].trim() : null;
+}
+
+// Clients can send any X-Forwarded-For; only the hop our proxy appended
+// (the last one) can be trusted
+function lastHop(value) {
+  const hops = value ? String(value).split(",").map((h) => h.trim()) : [];
+  return hops.filter(Boolean).pop() || null;
+}
+
+function clientIp(req) {
+  const headers = req.headers || {};
+  return (
+    firstHop(headers["x-vercel-forwarded-for"]) ||
+    firstHop(headers["x-real-ip"]) ||
+    lastHop(headers["x-forwarded-for"]) ||
+    (req.socket && req.socket.remoteAddress) ||
+    "unknown"
+  );
+}
+
+function rateLimitSubject(req, identity) {
+  return identity && identity.type === IDENTITY_CUSTOMER
+    ? `user:${identity.externalId}`
+    : `ip:${clientIp(req)}`;
+}
+
+// --------------------------------------------------------------
+// Buckets
+// --------------------------------------------------------------
+
+/**
+ * Refill + spend one token atomically. Returns { allowed, remaining,
+ * retryAfter } (retryAfter in seconds, only when not allowed).
+ */
+async function takeToken(key, capacity, ratePerSecond) {
+  const rows = await prisma.$queryRaw`
+    INSERT INTO "RateLimitBucket" ("key", "tokens", "updatedAt")
+    VALUES (${key}, ${capacity}::double precision - 1, NOW())
+    ON CONFLICT ("key") DO UPDATE SET
+      "tokens" = LEAST(
+        ${capacity}::double precision,
+        "RateLimitBucket"."tokens" +
+          EXTRACT(EPOCH FROM (NOW() - "RateLimitBucket"."updatedAt"))::double precision *
+          ${ratePerSecond}::double precision
+      ) - 1,
+      "updatedAt" = NOW()
+    WHERE LEAST(
+      ${capacity}::double precision,
+      "RateLimitBucket"."tokens" +
+        EXTRACT(EPOCH FROM (NOW() - "RateLimitBucket"."updatedAt"))::double precision *
+        ${ratePerSecond}::double precision
+    ) >= 1
+    RETURNING "tokens"`;
+
+  // A brand-new bucket with capacity < 1 (limit set to 0) goes negative
+  if (rows.length && rows[0].tokens >= 0) {
+    return { allowed: true, remaining: Math.floor(rows[0].tokens) };
+  }
+
+  const current = await prisma.$queryRaw`
+    SELECT LEAST(
+      ${capacity}::double precision,
+      "tokens" +
+        EXTRACT(EPOCH FROM (NOW() - "updatedAt"))::double precision *
+        ${ratePerSecond}::double precision
+    ) AS "available"
+    FROM "RateLimitBucket" WHERE "key" = ${key}`;
+  const available = current.length ? current[0].available : 0;
+
+  return {
+    allowed: false,
+    remaining: 0,
+    retryAfter:
+      ratePerSecond > 0
+        ? Math.max(1, Math.ceil((1 - available) / ratePerSecond))
+        : DAY_SECONDS,
+  };
+}
+
+async function refundToken(key, capacity) {
+  await prisma.$executeRaw`
+    UPDATE "RateLimitBucket"
+    SET "tokens" = LEAST(${capacity}::double precision, "tokens" + 1)
+    WHERE "key" = ${key}`;
+}
+
+/**
+ * Spend one request from the burst + daily buckets.
+ * Returns { allowed, name, limit, remaining, quota, quotaRemaining,
+ * retryAfter }. Fails open (allowed) if the database is unavailable, so
+ * an outage in the limiter never takes chat down with it.
+ */
+async function consumeRateLimit({
+  req,
+  identity,
+  kind,
+  workflow,
+  hasAttachments,
+}) {
+  const type =
+    identity && identity.type === IDENTITY_CUSTOMER
+      ? IDENTITY_CUSTOMER
+      : IDENTITY_GUEST;
+  const name = resolveLimitName({ kind, workflow, hasAttachments });
+  const rule = loadLimits()[type][name];
+
+  const result = {
+    allowed: true,
+    name,
+    limit: rule.burst,
+    remaining: rule.burst,
+    quota: rule.daily,
+    quotaRemaining: rule.daily,
+    retryAfter: null,
+  };
+
+  if (
+    process.env.EXERBUD_RATE_LIMITS_DISABLED === "1" ||
+    !process.env.DATABASE_URL
+  ) {
+    return result;
+  }
+
+  const prefix = `${rateLimitSubject(req, identity)}:${name}`;
+  const ipRule = type === IDENTITY_GUEST ? loadLimits()[type].ip : null;
+  const ipKey = `ip:${clientIp(req)}:all:burst`;
+
+  try {
+    if (ipRule) {
+      const ip = await takeToken(ipKey, ipRule.burst, ipRule.perMinute / 60);
+      if (!ip.allowed) {
+        return {
+          ...result,
+          allowed: false,
+          name: "ip",
+          limit: ipRule.burst,
+          remaining: 0,
+          retryAfter: ip.retryAfter,
+        };
+      }
+    }
+
+    const daily = await takeToken(
+      `${prefix}:daily`,
+      rule.daily,
+      rule.daily / DAY_SECONDS
+    );
+    if (!daily.allowed) {
+      if (ipRule) await refundToken(ipKey, ipRule.burst);
+      return {
+        ...result,
+        allowed: false,
+        remaining: 0,
+        quotaRemaining: 0,
+        retryAfter: daily.retryAfter,
+      };
+    }
+
+    const burst = await takeToken(
+      `${prefix}:burst`,
+      rule.burst,
+      rule.perMinute / 60
+    );
+    if (!burst.allowed) {
+      // Don't charge the daily quota for a request we turn away
+      await refundToken(`${prefix}:daily`, rule.daily);
+      if (ipRule) await refundToken(ipKey, ipRule.burst);
+      return {
+        ...result,
+        allowed: false,
+        remaining: 0,
+        quotaRemaining: daily.remaining + 1,
+        retryAfter: burst.retryAfter,
+      };
+    }
+
+    return {
+      ...result,
+      remaining: burst.remaining,
+      quotaRemaining: daily.remaining,
+    };
+  } catch (err) {
+    console.error(
+      "[Exerbud] Rate limiter unavailable, allowing request:",
+      err && err.message ? err.message : err
+    );
+    return result;
+  }
+}
+
+const EXPOSED_HEADERS = [
+  "Retry-After",
+  "X-RateLimit-Limit",
+  "X-RateLimit-Remaining",
+  "X-Quota-Limit",
+  "X-Quota-Remaining",
+].join(", ");
+
+function applyRateLimitHeaders(res, result) {
+  // Cross-origin widget JS can only read headers that are exposed
+  res.setHeader("Access-Control-Expose-Headers", EXPOSED_HEADERS);
+  res.setHeader("X-RateLimit-Limit", String(result.limit));
+  res.setHeader("X-RateLimit-Remaining", String(result.remaining));
+  res.setHeader("X-Quota-Limit", String(result.quota));
+  res.setHeader("X-Quota-Remaining", String(result.quotaRemaining));
+  if (result.retryAfter) {
+    res.setHeader("Retry-After", String(result.retryAfter));
+  }
+}
+
+/**
+ * Check + report the limit for a request. Throws a 429 HttpError (the
+ * route's error envelope sends it) when the caller should stop.
+ */
+async function enforceRateLimit(req, res, options) {
+  const result = await consumeRateLimit({ req, ...options });
+  applyRateLimitHeaders(res, result);
+
+  if (result.allowed) return result;
+
+  console.log(
+    "[Exerbud] Rate limited",
+    rateLimitSubject(req, options.identity),
+    "on",
+    result.name,
+    "retry in",
+    result.retryAfter,
+    "s"
+  );
+  throw new HttpError(429, "rate_limited", "Too many requests", {
+    limit: result.name,
+    retryAfter: result.retryAfter,
+  });
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  resolveLimitName,
+  consumeRateLimit,
+  applyRateLimitHeaders,
+  enforceRateLimit,
+};
@@ -0,0 +1,396 @@
+// lib/exerbudSafety.js
+// Medical red-flag detection for chat (chest pain, fainting, eating
+// disorders, pregnancy complications, self-harm).
+//
+// Each user message (and, for photos, a short description from the vision
+// model) goes through the keyword rules plus an optional classifier. A hit
+// replaces the coach reply with a fixed escalation response ("replace") or
+// puts it in front of the reply ("prefix"), and is stored as a SafetyEvent
+// for review.
+//
+// Env:
+// - EXERBUD_SAFETY_RULES       JSON overrides merged over DEFAULT_RULES, e.g.
+//   {"fainting":{"patterns":["\\bdizzy\\b"]},"chest_pain":{"enabled":false}}
+//   New categories need `patterns` and `response`.
+// - EXERBUD_SAFETY_CLASSIFIER  "keywords" (default: rules only), "llm"
+//   (rules + model check) or "mock" (rules + offline stand-in for tests,
+//   flags "[safety:<category>]" markers)
+
+const prisma = require("./prisma");
+const { isLlmEnabled, chat, chatJson } = require("./exerbudLlm");
+
+const EXCERPT_LENGTH = 500;
+
+// Higher first: decides the order of responses when several rules match
+const SEVERITY_ORDER = ["urgent", "high"];
+
+const DEFAULT_RULES = {
+  self_harm: {
+    severity: "urgent",
+    action: "replace",
+    patterns: [
+      "\\bkill(ing)? myself\\b",
+      "\\bsuicid\\w*",
+      "\\bend(ing)? my life\\b",
+      "\\bwant(ed)? to die\\b",
+      "\\bself[- ]?harm\\w*",
+      "\\b(hurt|hurting|cut|cutting) myself\\b",
+      "\\bno reason to live\\b",
+    ],
+    response:
+      "I'm really sorry you're going through this, and I'm glad you said something. " +
+      "I'm a fitness coach, so I can't give you the support you deserve right now, but people can.\n\n" +
+      "If you're in the US, call or text 988 (Suicide & Crisis Lifeline) any time. " +
+      "Elsewhere, contact your local emergency number or a crisis line in your country.\n\n" +
+      "If you're in immediate danger, please call emergency services now. You don't have to handle this alone.",
+    guidance: null,
+  },
+  chest_pain: {
+    severity: "urgent",
+    action: "replace",
+    patterns: [
+      "\\bchest (pain|pains|tightness|pressure)\\b",
+      "\\b(pain|tightness|pressure) in (my )?chest\\b",
+      "\\bheart attack\\b",
+      "\\b(left )?arm (goes )?numb\\w* (and|with) (my )?chest\\b",
+    ],
+    response:
+      "I'm concerned by what you described. Chest pain, pressure or tightness can be a medical emergency, " +
+      "especially with shortness of breath, sweating, nausea or pain spreading to your arm, jaw or back.\n\n" +
+      "Please stop exercising and call your local emergency number (911 in the US) or go to an emergency room now.\n\n" +
+      "This isn't something I can assess over chat or something to train through. " +
+      "Once a doctor has cleared you, I'm happy to help you get back to training safely.",
+    guidance: null,
+  },
+  fainting: {
+    severity: "urgent",
+    action: "replace",
+    patterns: [
+      "\\bfaint(ed|ing|s)?\\b",
+      "\\bpass(ed|ing)? out\\b",
+      "\\bblack(ed|ing)? out\\b",
+      "\\blost consciousness\\b",
+      "\\blose consciousness\\b",
+    ],
+    response:
+      "Fainting, passing out or nearly blacking out needs to be checked by a doctor before you train again.\n\n" +
+      "If it's happening now, or comes with chest pain, a racing or irregular heartbeat or trouble breathing, " +
+      "call your local emergency number (911 in the US).\n\n" +
+      "Please pause training until you've been evaluated. I'm happy to help you plan a safe return once you've been cleared.",
+    guidance: null,
+  },
+  eating_disorder: {
+    severity: "high",
+    action: "prefix",
+    patterns: [
+      "\\banorexi\\w*",
+      "\\bbulimi\\w*",
+      "\\bbinge\\w*( and |-| )purg\\w*",
+      "\\bpurg(e|ing) after\\b",
+      "\\bmake myself (throw up|vomit|sick)\\b",
+      "\\bthrow(ing)? up after (eating|meals?|i eat)\\b",
+      "\\bstarv(e|ing) myself\\b",
+      "\\blaxatives? (to|for) (lose|losing|weight)\\b",
+    ],
+    response:
+      "Before anything else: some of what you mentioned can be a sign of a really hard relationship with food. " +
+      "You deserve support from people trained in this, like your doctor, a registered dietitian or an eating-disorder helpline in your country.",
+    guidance:
+      "Safety note: the user may be struggling with disordered eating. Do not give calorie deficits, " +
+      "weight-loss targets, fasting or restriction advice. Keep guidance gentle and encourage professional support.",
+  },
+  pregnancy_complication: {
+    severity: "high",
+    action: "prefix",
+    // Needs pregnancy context (`requires`) plus a warning symptom
+    requires: ["\\bpregnan\\w*", "\\b(\\d+ )?weeks? (pregnant|along)\\b"],
+    patterns: [
+      "\\bbleed\\w*",
+      "\\bspotting\\b",
+      "\\b(severe|sharp|bad) (pain|cramps?|cramping|headaches?)\\b",
+      "\\bcontractions?\\b",
+      "\\b(leaking|leaked|gush of) fluid\\b",
+      "\\bdizz\\w*",
+      "\\b(swollen|swelling) (face|hands)\\b",
+      "\\bblurr\\w* vision\\b",
+      "\\bbaby (isn't|is not|stopped) moving\\b",
+    ],
+    response:
+      "Some of what you described during pregnancy (like bleeding, severe pain, dizziness, fluid leaking or reduced movement) " +
+      "needs to be checked by your doctor or midwife right away. Please contact them, or your local emergency number, before exercising again. " +
+      "The general information below is not a substitute for their advice.",
+    guidance:
+      "Safety note: the user is pregnant and reported warning symptoms. Do not suggest exercise until they have spoken to their " +
+      "doctor or midwife; keep any general information conservative.",
+  },
+};
+
+// --------------------------------------------------------------
+// Rules
+// --------------------------------------------------------------
+
+let rules = null;
+
+function compile(patterns) {
+  return (patterns || []).map((p) => new RegExp(p, "i"));
+}
+
+function loadRules() {
+  if (rules) return rules;
+
+  let overrides = {};
+  if (process.env.EXERBUD_SAFETY_RULES) {
+    try {
+      overrides = JSON.parse(process.env.EXERBUD_SAFETY_RULES) || {};
+    } catch (err) {
+      console.error("[Exerbud] Invalid EXERBUD_SAFETY_RULES JSON, using defaults");
+    }
+  }
+
+  rules = {};
+  const categories = new Set([
+    ...Object.keys(DEFAULT_RULES),
+    ...Object.keys(overrides),
+  ]);
+
+  categories.forEach((category) => {
+    const rule = { ...(DEFAULT_RULES[category] || {}), ...(overrides[category] || {}) };
+    if (rule.enabled === false || !rule.response || !rule.patterns) return;
+
+    try {
+      rules[category] = {
+        severity: SEVERITY_ORDER.includes(rule.severity) ? rule.severity : "high",
+        action: rule.action === "prefix" ? "prefix" : "replace",
+        patterns: compile(rule.patterns),
+        requires: compile(rule.requires),
+        response: rule.response,
+        guidance: rule.guidance || null,
+      };
+    } catch (err) {
+      console.error(`[Exerbud] Invalid safety pattern for "${category}":`, err.message);
+    }
+  });
+
+  return rules;
+}
+
+function keywordMatches(text) {
+  const found = [];
+  Object.entries(loadRules()).forEach(([category, rule]) => {
+    if (rule.requires.length && !rule.requires.some((re) => re.test(text))) {
+      return;
+    }
+    for (const re of rule.patterns) {
+      const match = text.match(re);
+      if (match) {
+        found.push({ category, source: "keyword", match: match[0] });
+        break;
+      }
+    }
+  });
+  return found;
+}
+
+// --------------------------------------------------------------
+// Classifiers (second opinion on top of the keyword rules)
+// --------------------------------------------------------------
+
+const CLASSIFIERS = {
+  keywords: async () => [],
+
+  // Deterministic offline stand-in: "[safety:chest_pain]" flags chest_pain
+  mock: async (text) =>
+    Array.from(text.matchAll(/\[safety:([a-z_]+)\]/g), (m) => m[1])
+      .filter((category) => loadRules()[category])
+      .map((category) => ({ category, source: "mock", match: `[safety:${category}]` })),
+
+  llm: async (text) => {
+    if (!isLlmEnabled()) return [];
+    const categories = Object.keys(loadRules());
+
+    const raw = await chatJson({
+      task: "safety",
+      temperature: 0,
+      maxTokens: 100,
+      schema: {
+        name: "safety_check",
+        strict: true,
+        schema: {
+          type: "object",
+          additionalProperties: false,
+          required: ["categories"],
+          properties: {
+            categories: {
+              type: "array",
+              items: { type: "string", enum: categories },
+            },
+          },
+        },
+      },
+      messages: [
+        {
+          role: "system",
+          content:
+            "You screen messages sent to a fitness coach for medical red flags. " +
+            `Return every category that clearly applies to the user themselves: ${categories.join(", ")}. ` +
+            "Return an empty list for ordinary training aches, hypotheticals or questions about other people.",
+        },
+        { role: "user", content: text.slice(0, 2000) },
+      ],
+    });
+
+    return (Array.isArray(raw && raw.categories) ? raw.categories : [])
+      .filter((category) => categories.includes(category))
+      .map((category) => ({ category, source: "llm", match: null }));
+  },
+};
+
+function activeClassifier() {
+  const name = (process.env.EXERBUD_SAFETY_CLASSIFIER || "keywords").trim().toLowerCase();
+  return CLASSIFIERS[name] || CLASSIFIERS.keywords;
+}
+
+// Short, factual photo description for screening (not shown to the user)
+async function describeImages(imageParts) {
+  if (!imageParts.length || !isLlmEnabled()) return null;
+
+  const { content } = await chat({
+    task: "vision",
+    temperature: 0,
+    maxTokens: 150,
+    messages: [
+      {
+        role: "system",
+        content:
+          "Describe these photos in 1-3 plain sentences for a safety reviewer. " +
+          "Mention visible injuries, wounds, self-harm marks, extreme thinness, medical devices or signs of distress if present.",
+      },
+      { role: "user", content: imageParts },
+    ],
+  });
+
+  return content ? content.trim() : null;
+}
+
+// --------------------------------------------------------------
+// Public API
+// --------------------------------------------------------------
+
+/**
+ * Screen a chat turn. Never throws: screening failures fall back to the
+ * keyword result (or "not flagged").
+ * - message: the user's text
+ * - imageParts: lib/exerbudLlm.js image parts, described by the vision model
+ * Returns null when nothing was found, else
+ * { categories, action, response, guidance, matches, imageDescription }.
+ */
+async function checkSafety({ message, imageParts = [] }) {
+  const text = String(message || "");
+  let imageDescription = null;
+  let matches = keywordMatches(text);
+
+  try {
+    imageDescription = await describeImages(imageParts);
+    if (imageDescription) {
+      matches = matches.concat(
+        keywordMatches(imageDescription).map((m) => ({ ...m, source: "image" }))
+      );
+    }
+
+    const screened = [text, imageDescription].filter(Boolean).join("\n\n");
+    if (screened) {
+      matches = matches.concat(await activeClassifier()(screened));
+    }
+  } catch (err) {
+    console.error(
+      "[Exerbud] Safety classifier failed:",
+      err && err.message ? err.message : err
+    );
+  }
+
+  const active = loadRules();
+  const categories = Array.from(new Set(matches.map((m) => m.category)))
+    .filter((category) => active[category])
+    .sort(
+      (a, b) =>
+        SEVERITY_ORDER.indexOf(active[a].severity) -
+        SEVERITY_ORDER.indexOf(active[b].severity)
+    );
+
+  if (!categories.length) return null;
+
+  const flagged = categories.map((category) => active[category]);
+
+  return {
+    categories,
+    action: flagged.some((rule) => rule.action === "replace") ? "replace" : "prefix",
+    response: flagged.map((rule) => rule.response).join("\n\n"),
+    guidance: flagged.map((rule) => rule.guidance).filter(Boolean).join("\n"),
+    matches,
+    imageDescription,
+  };
+}
+
+/**
+ * Final reply text: the escalation alone ("replace") or in front of the
+ * model reply ("prefix").
+ */
+function applySafetyToReply(safety, reply) {
+  if (!safety) return reply;
+  if (safety.action === "replace" || !reply) return safety.response;
+  return `${safety.response}\n\n${reply}`;
+}
+
+/**
+ * What the client gets back (no matches / descriptions).
+ */
+function serializeSafety(safety) {
+  return safety
+    ? { flagged: true, categories: safety.categories, action: safety.action }
+    : null;
+}
+
+/**
+ * Store a SafetyEvent for review. Best-effort: logs and returns null on
+ * failure so the reply still goes out.
+ */
+async function recordSafetyEvent({
+  safety,
+  userId,
+  conversationId,
+  messageId,
+  userMessage,
+}) {
+  if (!safety || !userId) return null;
+
+  try {
+    return await prisma.safetyEvent.create({
+      data: {
+        userId,
+        conversationId: conversationId || null,
+        messageId: messageId || null,
+        categories: safety.categories,
+        action: safety.action,
+        matches: safety.matches,
+        userExcerpt: userMessage
+          ? String(userMessage).slice(0, EXCERPT_LENGTH)
+          : null,
+        imageDescription: safety.imageDescription,
+      },
+    });
+  } catch (err) {
+    console.error(
+      "[Exerbud] SAFETY EVENT SAVE FAILED:",
+      err && err.message ? err.message : err
+    );
+    return null;
+  }
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  checkSafety,
+  applySafetyToReply,
+  serializeSafety,
+  recordSafetyEvent,
+};
@@ -0,0 +1,130 @@
+// lib/exerbudSse.js
+// Server-Sent Events framing for the Exerbud streaming endpoint
+//
+// Protocol v1 (legacy widget): plain "data: <text>" frames, plus the
+// "data: [META] {...}" and "data: [DONE]" sentinels.
+// Protocol v2: named events with JSON payloads + heartbeat comments:
+//   event: token  data: {"text": "..."}
+//   event: meta   data: {"conversationId": "...", ...}
+//   event: followups  data: {"conversationTitle": "...", "workoutPlanId": ...}
+//     (results of the post-reply work; v2 only, the reply is final at meta)
+//   event: error  data: {"code": "...", "message": "..."}
+//   event: done   data: {"ok": true}
+
+const SSE_PROTOCOL_LEGACY = 1;
+const SSE_PROTOCOL_TYPED = 2;
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// Text shown by the legacy widget when the stream fails
+const LEGACY_ERROR_TEXT =
+  "Sorry, something went wrong while generating your workout. Please try again.";
+
+/**
+ * Pick the protocol version from the request.
+ * Accepts body.streamVersion or the X-Exerbud-Stream-Version header.
+ * Anything other than 2 falls back to the legacy framing.
+ */
+function resolveSseProtocol(req, body) {
+  const raw =
+    (body && body.streamVersion) ||
+    (req.headers && req.headers["x-exerbud-stream-version"]) ||
+    SSE_PROTOCOL_LEGACY;
+
+  return Number(raw) === SSE_PROTOCOL_TYPED
+    ? SSE_PROTOCOL_TYPED
+    : SSE_PROTOCOL_LEGACY;
+}
+
+/**
+ * Wrap a response in an SSE writer for the given protocol version.
+ * Call open() once before writing and close() when finished.
+ */
+function createSseWriter(res, protocol = SSE_PROTOCOL_LEGACY) {
+  const typed = protocol === SSE_PROTOCOL_TYPED;
+  let heartbeat = null;
+  let closed = false;
+
+  function writeEvent(event, payload) {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  function open() {
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache, no-transform");
+    res.setHeader("Connection", "keep-alive");
+    // Stop nginx-style proxies from buffering the stream
+    res.setHeader("X-Accel-Buffering", "no");
+
+    // In some runtimes this helps flush headers
+    if (typeof res.flushHeaders === "function") {
+      res.flushHeaders();
+    } else {
+      res.write("\n");
+    }
+
+    // Legacy widget gets byte-identical output, so heartbeats are v2 only
+    if (typed) {
+      heartbeat = setInterval(() => {
+        if (!closed) res.write(": heartbeat\n\n");
+      }, HEARTBEAT_INTERVAL_MS);
+
+      // Client went away: stop pinging a dead socket
+      if (typeof res.on === "function") {
+        res.on("close", () => clearInterval(heartbeat));
+      }
+    }
+  }
+
+  function token(text) {
+    if (!text) return;
+    if (typed) {
+      writeEvent("token", { text });
+    } else if (!closed) {
+      res.write(`data: ${text}\n\n`);
+    }
+  }
+
+  function meta(payload) {
+    if (typed) {
+      writeEvent("meta", payload);
+    } else if (!closed) {
+      res.write(`data: [META] ${JSON.stringify(payload)}\n\n`);
+    }
+  }
+
+  // Legacy widget only knows one [META] frame, so this is v2 only
+  function followups(payload) {
+    if (typed) writeEvent("followups", payload);
+  }
+
+  function error(code, message) {
+    if (typed) {
+      writeEvent("error", { code, message });
+    } else if (!closed) {
+      res.write(`data: ${LEGACY_ERROR_TEXT}\n\n`);
+    }
+  }
+
+  function close({ ok = true } = {}) {
+    if (closed) return;
+    if (typed) {
+      writeEvent("done", { ok });
+    } else {
+      res.write("data: [DONE]\n\n");
+    }
+    closed = true;
+    if (heartbeat) clearInterval(heartbeat);
+    res.end();
+  }
+
+  return { protocol, open, token, meta, followups, error, close };
+}
+
+module.exports = {
+  SSE_PROTOCOL_LEGACY,
+  SSE_PROTOCOL_TYPED,
+  resolveSseProtocol,
+  createSseWriter,
+};
@@ -0,0 +1,262 @@
+// lib/exerbudStorage.js
+// Upload storage: originals + thumbnails go to blob storage, Postgres only
+// keeps URLs and metadata (size, dimensions, sha256).
+//
+// Drivers (EXERBUD_STORAGE_DRIVER):
+// - "blob":  Vercel Blob (@vercel/blob, needs BLOB_READ_WRITE_TOKEN)
+// - "local": filesystem, for local development and tests
+//            (EXERBUD_LOCAL_STORAGE_DIR, EXERBUD_LOCAL_STORAGE_BASE_URL)
+// Default: "blob" when BLOB_READ_WRITE_TOKEN is set, otherwise "local"
+// outside production. In production (NODE_ENV=production) a missing token
+// is an error: the local filesystem there is read-only / ephemeral and
+// would leave file:// URLs in Upload.url. Set EXERBUD_STORAGE_DRIVER=local
+// explicitly to opt in anyway.
+
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+const THUMBNAIL_MAX_SIZE = 320; // px, longest edge
+const THUMBNAIL_MIME = "image/webp";
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "image/heic": "heic",
+  "application/pdf": "pdf",
+};
+
+// --------------------------------------------------------------
+// Adapters: { name, put(key, buffer, contentType) → url, remove(key) }
+// --------------------------------------------------------------
+
+function createBlobAdapter() {
+  const { put, del } = require("@vercel/blob");
+
+  return {
+    name: "blob",
+    async put(key, buffer, contentType) {
+      const result = await put(key, buffer, {
+        access: "public",
+        contentType,
+        addRandomSuffix: false,
+        // Keys are content hashes, so re-uploading the same bytes is a no-op
+        allowOverwrite: true,
+      });
+      return result.url;
+    },
+    async remove(urlOrKey) {
+      await del(urlOrKey);
+    },
+  };
+}
+
+function createLocalAdapter({
+  dir = process.env.EXERBUD_LOCAL_STORAGE_DIR ||
+    path.join(process.cwd(), ".exerbud-uploads"),
+  baseUrl = process.env.EXERBUD_LOCAL_STORAGE_BASE_URL || null,
+} = {}) {
+  const root = path.resolve(dir);
+
+  // Keys are generated by us, but never let one escape the root
+  function resolveKey(key) {
+    const full = path.resolve(root, key);
+    if (!full.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return full;
+  }
+
+  function keyFromUrl(urlOrKey) {
+    if (baseUrl && urlOrKey.startsWith(baseUrl)) {
+      return urlOrKey.slice(baseUrl.length).replace(/^\/+/, "");
+    }
+    if (urlOrKey.startsWith("file://")) {
+      return path.relative(root, new URL(urlOrKey).pathname);
+    }
+    return urlOrKey;
+  }
+
+  return {
+    name: "local",
+    root,
+    async put(key, buffer) {
+      const full = resolveKey(key);
+      await fs.mkdir(path.dirname(full), { recursive: true });
+      await fs.writeFile(full, buffer);
+      return baseUrl
+        ? `${baseUrl.replace(/\/+$/, "")}/${key}`
+        : `file://${full}`;
+    },
+    async remove(urlOrKey) {
+      await fs.rm(resolveKey(keyFromUrl(urlOrKey)), { force: true });
+    },
+  };
+}
+
+let defaultAdapter = null;
+
+function getStorageAdapter() {
+  if (defaultAdapter) return defaultAdapter;
+
+  let driver = process.env.EXERBUD_STORAGE_DRIVER;
+  if (!driver) {
+    if (process.env.BLOB_READ_WRITE_TOKEN) {
+      driver = "blob";
+    } else if (process.env.NODE_ENV === "production") {
+      throw new Error(
+        "Upload storage not configured: set BLOB_READ_WRITE_TOKEN (or EXERBUD_STORAGE_DRIVER=local)"
+      );
+    } else {
+      driver = "local";
+    }
+  }
+
+  defaultAdapter = driver === "blob" ? createBlobAdapter() : createLocalAdapter();
+  return defaultAdapter;
+}
+
+// Tests / scripts can swap the adapter (e.g. a local one in a temp dir)
+function setStorageAdapter(adapter) {
+  defaultAdapter = adapter;
+}
+
+// --------------------------------------------------------------
+// Images
+// --------------------------------------------------------------
+
+// sharp is optional: without it we still store originals, just no
+// thumbnail / dimensions. It is a package.json dependency, so a missing
+// module is a broken install: say so once instead of silently skipping
+let sharpWarned = false;
+
+function loadSharp() {
+  try {
+    return require("sharp");
+  } catch (err) {
+    if (!sharpWarned) {
+      sharpWarned = true;
+      console.error(
+        "[Exerbud] sharp failed to load; uploads get no thumbnails or dimensions:",
+        err && err.message ? err.message : err
+      );
+    }
+    return null;
+  }
+}
+
+async function describeImage(buffer) {
+  const sharp = loadSharp();
+  if (!sharp) return { width: null, height: null, thumbnail: null };
+
+  try {
+    const image = sharp(buffer, { failOn: "none" }).rotate();
+    const meta = await image.metadata();
+    const thumbnail = await image
+      .resize(THUMBNAIL_MAX_SIZE, THUMBNAIL_MAX_SIZE, {
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .webp({ quality: 70 })
+      .toBuffer();
+
+    // EXIF orientations 5-8 swap width and height
+    const swapped = meta.orientation && meta.orientation >= 5;
+    return {
+      width: (swapped ? meta.height : meta.width) || null,
+      height: (swapped ? meta.width : meta.height) || null,
+      thumbnail,
+    };
+  } catch (err) {
+    console.error(
+      "[Exerbud] Thumbnail generation failed:",
+      err && err.message ? err.message : err
+    );
+    return { width: null, height: null, thumbnail: null };
+  }
+}
+
+/**
+ * Parse a "data:<mime>;base64,<data>" URL. Returns { mime, buffer } or null.
+ */
+function parseDataUrl(dataUrl) {
+  const match = /^data:([^;,]+)?(;base64)?,(.*)$/s.exec(dataUrl || "");
+  if (!match || !match[2]) return null;
+  return {
+    mime: match[1] || "application/octet-stream",
+    buffer: Buffer.from(match[3], "base64"),
+  };
+}
+
+/**
+ * Store one file (original + thumbnail for images).
+ * Returns the Upload columns to persist:
+ * { url, thumbnailUrl, storage, storageKey, thumbnailKey, sizeBytes,
+ *   width, height, sha256 }
+ */
+async function storeFile({ userId, buffer, mime, adapter = getStorageAdapter() }) {
+  const sha256 = crypto.createHash("sha256").update(buffer).digest("hex");
+  const ext = EXTENSIONS[mime] || "bin";
+  const storageKey = `uploads/${userId}/${sha256}.${ext}`;
+
+  const url = await adapter.put(storageKey, buffer, mime);
+
+  let width = null;
+  let height = null;
+  let thumbnailUrl = null;
+  let thumbnailKey = null;
+
+  if (mime.startsWith("image/")) {
+    const info = await describeImage(buffer);
+    width = info.width;
+    height = info.height;
+
+    if (info.thumbnail) {
+      thumbnailKey = `uploads/${userId}/${sha256}-thumb.webp`;
+      thumbnailUrl = await adapter.put(thumbnailKey, info.thumbnail, THUMBNAIL_MIME);
+    }
+  }
+
+  return {
+    url,
+    thumbnailUrl,
+    storage: adapter.name,
+    storageKey,
+    thumbnailKey,
+    sizeBytes: buffer.length,
+    width,
+    height,
+    sha256,
+  };
+}
+
+/**
+ * Remove the stored original + thumbnail for an Upload row.
+ * Rows that only point at an external URL have nothing to remove.
+ */
+async function removeStoredFiles(upload, adapter = getStorageAdapter()) {
+  if (!upload || !upload.storageKey) return;
+
+  const targets = [
+    adapter.name === "blob" ? upload.url : upload.storageKey,
+    upload.thumbnailKey &&
+      (adapter.name === "blob" ? upload.thumbnailUrl : upload.thumbnailKey),
+  ].filter(Boolean);
+
+  for (const target of targets) {
+    await adapter.remove(target);
+  }
+}
+
+module.exports = {
+  THUMBNAIL_MAX_SIZE,
+  createBlobAdapter,
+  createLocalAdapter,
+  getStorageAdapter,
+  setStorageAdapter,
+  parseDataUrl,
+  storeFile,
+  removeStoredFiles,
+};
@@ -0,0 +1,137 @@
+// lib/exerbudTargets.js
+// Deterministic calorie + macro targets (no model involved).
+// - BMR: Mifflin-St Jeor
+// - TDEE: BMR × activity multiplier
+// - Goal: calorie adjustment, then protein / fat by body weight and
+//   carbs from the remaining calories
+// Stored on UserProfileMemory.data.targets as { inputs, results, calculatedAt }.
+
+const TARGETS_FORMULA_VERSION = "mifflin-st-jeor-v1";
+
+const ACTIVITY_MULTIPLIERS = {
+  sedentary: 1.2,
+  light: 1.375,
+  moderate: 1.55,
+  active: 1.725,
+  very_active: 1.9,
+};
+
+// kcal adjustment vs TDEE, protein + fat in g per kg body weight
+const GOAL_SETTINGS = {
+  lose: { calorieFactor: 0.8, proteinPerKg: 2.0, fatPerKg: 0.8 },
+  maintain: { calorieFactor: 1.0, proteinPerKg: 1.6, fatPerKg: 0.9 },
+  gain: { calorieFactor: 1.1, proteinPerKg: 1.8, fatPerKg: 1.0 },
+};
+
+const SEXES = ["male", "female"];
+
+// Never recommend less than this, whatever the maths says
+const MIN_CALORIES = { male: 1500, female: 1200 };
+
+const KG_PER_LB = 0.45359237;
+const CM_PER_IN = 2.54;
+
+function toNumber(value) {
+  const n = typeof value === "number" ? value : parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Validate + normalise calculator inputs (metric internally).
+ * Accepts weightKg / weightLb and heightCm / heightIn.
+ * Returns { inputs } or { error } with the first problem found.
+ */
+function normalizeTargetInputs(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+
+  const age = toNumber(src.age);
+  const sex = typeof src.sex === "string" ? src.sex.toLowerCase() : null;
+  const weightKg =
+    toNumber(src.weightKg) ??
+    (toNumber(src.weightLb) !== null ? toNumber(src.weightLb) * KG_PER_LB : null);
+  const heightCm =
+    toNumber(src.heightCm) ??
+    (toNumber(src.heightIn) !== null ? toNumber(src.heightIn) * CM_PER_IN : null);
+  const activityLevel = src.activityLevel || "moderate";
+  const goal = src.goal || "maintain";
+
+  if (age === null || age < 14 || age > 100) return { error: "invalid_age" };
+  if (!SEXES.includes(sex)) return { error: "invalid_sex" };
+  if (weightKg === null || weightKg < 30 || weightKg > 350)
+    return { error: "invalid_weight" };
+  if (heightCm === null || heightCm < 120 || heightCm > 250)
+    return { error: "invalid_height" };
+  if (!ACTIVITY_MULTIPLIERS[activityLevel]) return { error: "invalid_activity_level" };
+  if (!GOAL_SETTINGS[goal]) return { error: "invalid_goal" };
+
+  return {
+    inputs: {
+      age: Math.round(age),
+      sex,
+      weightKg: Math.round(weightKg * 10) / 10,
+      heightCm: Math.round(heightCm),
+      activityLevel,
+      goal,
+    },
+  };
+}
+
+/**
+ * BMR / TDEE / daily calorie + macro targets for normalised inputs.
+ */
+function calculateTargets(inputs) {
+  const { age, sex, weightKg, heightCm, activityLevel, goal } = inputs;
+  const settings = GOAL_SETTINGS[goal];
+
+  const bmr = 10 * weightKg + 6.25 * heightCm - 5 * age + (sex === "male" ? 5 : -161);
+  const tdee = bmr * ACTIVITY_MULTIPLIERS[activityLevel];
+  const calories = Math.max(MIN_CALORIES[sex], tdee * settings.calorieFactor);
+
+  const proteinG = weightKg * settings.proteinPerKg;
+  const fatG = weightKg * settings.fatPerKg;
+  const carbsG = Math.max(0, (calories - proteinG * 4 - fatG * 9) / 4);
+
+  return {
+    bmr: Math.round(bmr),
+    tdee: Math.round(tdee),
+    calories: Math.round(calories / 10) * 10,
+    proteinG: Math.round(proteinG),
+    carbsG: Math.round(carbsG),
+    fatG: Math.round(fatG),
+  };
+}
+
+/**
+ * Full record to store on UserProfileMemory.data.targets.
+ */
+function buildTargetsRecord(inputs) {
+  return {
+    formula: TARGETS_FORMULA_VERSION,
+    inputs,
+    results: calculateTargets(inputs),
+    calculatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * One-line summary for system prompts, or "" if no targets.
+ */
+function formatTargetsForPrompt(targets) {
+  const r = targets && targets.results;
+  if (!r) return "";
+  return (
+    `- Daily targets (calculated, goal: ${targets.inputs.goal}): ` +
+    `${r.calories} kcal, ${r.proteinG} g protein, ${r.carbsG} g carbs, ${r.fatG} g fat ` +
+    `(TDEE ~${r.tdee} kcal). Use these numbers instead of inventing new targets.`
+  );
+}
+
+module.exports = {
+  TARGETS_FORMULA_VERSION,
+  ACTIVITY_MULTIPLIERS,
+  GOAL_SETTINGS,
+  normalizeTargetInputs,
+  calculateTargets,
+  buildTargetsRecord,
+  formatTargetsForPrompt,
+};
@@ -0,0 +1,120 @@
+// lib/exerbudTitles.js
+// Short AI-generated titles for the conversation drawer
+// (e.g. "Meal scan: shrimp & veggies")
+
+const { isLlmEnabled, chat } = require("./exerbudLlm");
+const prisma = require("./prisma");
+
+const MAX_TITLE_LENGTH = 60;
+
+// Workflow prefix keeps scans easy to spot in the drawer
+const WORKFLOW_PREFIX = {
+  food_scan: "Meal scan",
+  body_scan: "Body scan",
+  fitness_plan: "Workout plan",
+};
+
+function cleanTitle(raw) {
+  const title = String(raw || "")
+    .split("\n")[0]
+    .replace(/^["'\s]+|["'.\s]+$/g, "")
+    .trim();
+
+  if (!title) return null;
+  return title.length > MAX_TITLE_LENGTH
+    ? title.slice(0, MAX_TITLE_LENGTH - 1).trimEnd() + "…"
+    : title;
+}
+
+/**
+ * Ask the model for a 2–6 word title for this exchange.
+ * Returns null on any failure; titles are best-effort.
+ */
+async function generateTitle({ userMessage, reply, workflow }) {
+  if (!isLlmEnabled()) return null;
+
+  const prefix = WORKFLOW_PREFIX[workflow];
+
+  try {
+    const { content } = await chat({
+      task: "title",
+      temperature: 0.3,
+      maxTokens: 20,
+      messages: [
+        {
+          role: "system",
+          content:
+            "You write short titles for fitness coaching chats. " +
+            "Reply with 2-6 words, no quotes, no trailing period." +
+            (prefix
+              ? ` Start with "${prefix}: " followed by the main subject (e.g. "${prefix}: shrimp & veggies").`
+              : ""),
+        },
+        {
+          role: "user",
+          content: `User: ${String(userMessage || "").slice(0, 600)}\n\nCoach: ${String(
+            reply || ""
+          ).slice(0, 600)}`,
+        },
+      ],
+    });
+
+    return cleanTitle(content);
+  } catch (err) {
+    console.error(
+      "[Exerbud] Title generation failed:",
+      err && err.message ? err.message : err
+    );
+    return null;
+  }
+}
+
+/**
+ * After the first exchange of a conversation, generate and store a title.
+ * - Skips conversations the user has renamed (titleSetByUser).
+ * - Skips conversations that already had more than one exchange.
+ * Returns the stored title, or null if nothing was written.
+ */
+async function maybeAutoTitleConversation({
+  conversationId,
+  userMessage,
+  reply,
+  workflow,
+}) {
+  if (!conversationId) return null;
+
+  try {
+    const conversation = await prisma.conversation.findUnique({
+      where: { id: conversationId },
+      select: {
+        titleSetByUser: true,
+        _count: { select: { messages: true } },
+      },
+    });
+
+    if (!conversation || conversation.titleSetByUser) return null;
+    if (conversation._count.messages > 2) return null;
+
+    const title = await generateTitle({ userMessage, reply, workflow });
+    if (!title) return null;
+
+    // Conditional write so a rename that lands meanwhile still wins
+    const result = await prisma.conversation.updateMany({
+      where: { id: conversationId, titleSetByUser: false },
+      data: { title },
+    });
+
+    return result.count ? title : null;
+  } catch (err) {
+    console.error(
+      "[Exerbud] Failed to store conversation title:",
+      err && err.message ? err.message : err
+    );
+    return null;
+  }
+}
+
+module.exports = {
+  generateTitle,
+  maybeAutoTitleConversation,
+};
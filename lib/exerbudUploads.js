@@ -0,0 +1,163 @@
+// lib/exerbudUploads.js
+// Uploads gallery: serialisation, links back to the analysing reply, delete
+
+const prisma = require("./prisma");
+const { removeStoredFiles } = require("./exerbudStorage");
+
+const ANALYSIS_EXCERPT_CHARS = 280;
+
+// Legacy rows: how long before an upload its analysing reply may be
+const LEGACY_REPLY_WINDOW_MS = 10 * 60 * 1000;
+
+// Legacy rows still holding inline images are never sent to the widget
+function publicUrl(url) {
+  return typeof url === "string" && !url.startsWith("data:") ? url : null;
+}
+
+/**
+ * Smallest displayable image for a row (thumbnail, else the original).
+ */
+function previewUrlFor(upload) {
+  return publicUrl(upload.thumbnailUrl) || publicUrl(upload.url);
+}
+
+/**
+ * Assistant replies for a page of uploads, keyed by upload id.
+ * Rows saved before Upload.messageId existed fall back to the latest
+ * assistant message in the same conversation at or before the upload,
+ * within LEGACY_REPLY_WINDOW_MS (uploads are written right after the
+ * reply). Fixed number of queries per page, however many legacy rows it
+ * holds.
+ */
+async function findAnalysisMessages(uploads) {
+  const byUploadId = new Map();
+  const messageIdByUpload = new Map();
+
+  uploads.forEach((u) => {
+    if (u.messageId) messageIdByUpload.set(u.id, u.messageId);
+  });
+
+  // Legacy rows: one lightweight query for the replies just before each
+  // upload, grouped per conversation (newest first)
+  const legacy = uploads.filter((u) => !u.messageId && u.conversationId);
+  if (legacy.length) {
+    const candidates = await prisma.message.findMany({
+      where: {
+        role: "assistant",
+        OR: legacy.map((u) => ({
+          conversationId: u.conversationId,
+          createdAt: {
+            gte: new Date(new Date(u.createdAt).getTime() - LEGACY_REPLY_WINDOW_MS),
+            lte: u.createdAt,
+          },
+        })),
+      },
+      orderBy: { createdAt: "desc" },
+      select: { id: true, conversationId: true, createdAt: true },
+    });
+
+    const byConversation = new Map();
+    candidates.forEach((m) => {
+      if (!byConversation.has(m.conversationId)) {
+        byConversation.set(m.conversationId, []);
+      }
+      byConversation.get(m.conversationId).push(m);
+    });
+
+    legacy.forEach((upload) => {
+      const uploadedAt = new Date(upload.createdAt).getTime();
+      const match = (byConversation.get(upload.conversationId) || []).find(
+        (m) => {
+          const at = new Date(m.createdAt).getTime();
+          return at <= uploadedAt && at >= uploadedAt - LEGACY_REPLY_WINDOW_MS;
+        }
+      );
+      if (match) messageIdByUpload.set(upload.id, match.id);
+    });
+  }
+
+  const ids = [...new Set(messageIdByUpload.values())];
+  const messages = ids.length
+    ? await prisma.message.findMany({
+        where: { id: { in: ids } },
+        select: { id: true, content: true, createdAt: true },
+      })
+    : [];
+  const messagesById = new Map(messages.map((m) => [m.id, m]));
+
+  messageIdByUpload.forEach((messageId, uploadId) => {
+    const message = messagesById.get(messageId);
+    if (message) byUploadId.set(uploadId, message);
+  });
+
+  return byUploadId;
+}
+
+/**
+ * Gallery item for an Upload row (+ its analysis message, if known).
+ */
+function serializeUpload(upload, analysis) {
+  return {
+    id: upload.id,
+    url: publicUrl(upload.url),
+    thumbnailUrl: publicUrl(upload.thumbnailUrl),
+    previewUrl: previewUrlFor(upload),
+    type: upload.type,
+    workflow: upload.workflow || null,
+    width: upload.width ?? null,
+    height: upload.height ?? null,
+    sizeBytes: upload.sizeBytes ?? null,
+    createdAt: new Date(upload.createdAt).toISOString(),
+    conversationId: upload.conversationId || null,
+    analysis: analysis
+      ? {
+          messageId: analysis.id,
+          excerpt: String(analysis.content || "").slice(0, ANALYSIS_EXCERPT_CHARS),
+          createdAt: new Date(analysis.createdAt).toISOString(),
+        }
+      : null,
+  };
+}
+
+/**
+ * Delete one of a user's uploads and its stored files.
+ * Storage keys are content hashes, so the same bytes uploaded twice share
+ * one file: it is only removed once no other row points at it.
+ * Returns false when the upload doesn't exist / isn't theirs.
+ */
+async function deleteUpload({ userId, uploadId }) {
+  const upload = await prisma.upload.findFirst({
+    where: { id: uploadId, userId },
+  });
+  if (!upload) return false;
+
+  await prisma.upload.delete({ where: { id: upload.id } });
+
+  if (upload.storageKey) {
+    const shared = await prisma.upload.count({
+      where: { storageKey: upload.storageKey },
+    });
+
+    if (!shared) {
+      try {
+        await removeStoredFiles(upload);
+      } catch (err) {
+        // Row is gone either way; an orphaned file is harmless
+        console.error(
+          "[Exerbud] Failed to remove stored upload files:",
+          err && err.message ? err.message : err
+        );
+      }
+    }
+  }
+
+  return true;
+}
+
+module.exports = {
+  publicUrl,
+  previewUrlFor,
+  findAnalysisMessages,
+  serializeUpload,
+  deleteUpload,
+};
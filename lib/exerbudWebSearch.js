@@ -0,0 +1,206 @@
+// lib/exerbudWebSearch.js
+// webSearch (api/utils/web-search.js) as a model-callable tool for chat.
+//
+// The model calls web_search({ query }); every result card gets a `ref`
+// number that is unique within the turn, the reply cites cards as [1], [2]
+// and the cards themselves go back to the client in a separate `sources`
+// field: [{ ref, title, url, snippet, mapImageUrl, cited }].
+//
+// Env:
+// - EXERBUD_SEARCH_PROVIDER  "google" (default) or "fake" (no network)
+
+const { webSearch, isWebSearchEnabled } = require("../api/utils/web-search");
+const { chat, streamChat } = require("./exerbudLlm");
+
+const WEB_SEARCH_TOOL_NAME = "web_search";
+
+// Rounds in which the model may search before it has to answer
+const MAX_TOOL_ROUNDS = 2;
+const MAX_SEARCHES_PER_TURN = 3;
+const MAX_QUERY_LENGTH = 200;
+
+const WEB_SEARCH_TOOL = {
+  name: WEB_SEARCH_TOOL_NAME,
+  description:
+    "Search the web for current or local information you cannot know: " +
+    "gyms, classes, stores or events near a place, opening hours, " +
+    "product details. Not needed for general training or nutrition advice.",
+  parameters: {
+    type: "object",
+    properties: {
+      query: {
+        type: "string",
+        description:
+          'Search query, with the location when relevant (e.g. "CrossFit gym near 14216").',
+      },
+    },
+    required: ["query"],
+    additionalProperties: false,
+  },
+};
+
+const WEB_SEARCH_INSTRUCTIONS = `
+Web search:
+- Use the web_search tool when the user needs current or local information (gyms, classes, stores, events near a place). Never guess names or addresses.
+- Every result has a "ref" number. When you use a result, cite it inline as [ref], e.g. "CrossFit Buffalo [1]".
+- Only cite results you were given. If nothing useful came back, say so.
+`.trim();
+
+/**
+ * System prompt block for the tool, or "" when search is disabled.
+ */
+function webSearchInstructions() {
+  return isWebSearchEnabled() ? WEB_SEARCH_INSTRUCTIONS : "";
+}
+
+function parseQuery(call) {
+  try {
+    const args = JSON.parse(call.arguments || "{}");
+    const query = typeof args.query === "string" ? args.query.trim() : "";
+    return query ? query.slice(0, MAX_QUERY_LENGTH) : null;
+  } catch {
+    return null;
+  }
+}
+
+// One tool-call round → tool messages for the model; cards land in `sources`
+async function runToolCalls(calls, state) {
+  const messages = [];
+
+  for (const call of calls) {
+    let result;
+    const query = parseQuery(call);
+
+    if (call.name !== WEB_SEARCH_TOOL_NAME) {
+      result = { error: "unknown_tool" };
+    } else if (!query) {
+      result = { error: "invalid_arguments" };
+    } else if (state.searches >= MAX_SEARCHES_PER_TURN) {
+      result = { error: "search_limit_reached" };
+    } else {
+      state.searches += 1;
+      const cards = await webSearch(query);
+      console.log(
+        "[Exerbud] web_search:",
+        JSON.stringify(query),
+        "→",
+        cards.length,
+        "results"
+      );
+
+      const refs = cards.map((card) => {
+        const source = { ref: state.sources.length + 1, ...card };
+        state.sources.push(source);
+        return source;
+      });
+
+      // The model sees ref / title / url / snippet (no map URLs)
+      result = {
+        query,
+        results: refs.map(({ ref, title, url, snippet }) => ({
+          ref,
+          title,
+          url,
+          snippet,
+        })),
+      };
+    }
+
+    messages.push({
+      role: "tool",
+      toolCallId: call.id,
+      content: JSON.stringify(result),
+    });
+  }
+
+  return messages;
+}
+
+function toolParams(round) {
+  if (!isWebSearchEnabled()) return {};
+  // Tools stay declared after the last round so the tool messages in the
+  // transcript remain valid; "none" forces the final answer
+  return {
+    tools: [WEB_SEARCH_TOOL],
+    toolChoice: round < MAX_TOOL_ROUNDS ? "auto" : "none",
+  };
+}
+
+/**
+ * Mark which cards the reply actually cites ([n]).
+ */
+function finalizeSources(sources, reply) {
+  const cited = new Set(
+    Array.from(String(reply || "").matchAll(/\[(\d+)\]/g), (m) => Number(m[1]))
+  );
+  return sources.map((source) => ({ ...source, cited: cited.has(source.ref) }));
+}
+
+/**
+ * Non-streaming chat (lib/exerbudLlm.js request) with the web_search tool.
+ * Returns { reply, sources }.
+ */
+async function completeWithWebSearch(request) {
+  const messages = [...request.messages];
+  const state = { sources: [], searches: 0 };
+
+  for (let round = 0; ; round += 1) {
+    const { content, toolCalls } = await chat({
+      ...request,
+      messages,
+      ...toolParams(round),
+    });
+
+    if (!toolCalls.length || round >= MAX_TOOL_ROUNDS) {
+      const reply = (content || "").trim();
+      return { reply, sources: finalizeSources(state.sources, reply) };
+    }
+
+    messages.push({ role: "assistant", content: content || null, toolCalls });
+    messages.push(...(await runToolCalls(toolCalls, state)));
+  }
+}
+
+/**
+ * Streaming variant: text deltas go to onToken as they arrive, tool calls
+ * are answered between rounds. Returns { reply, sources } at the end.
+ */
+async function streamWithWebSearch(request, onToken) {
+  const messages = [...request.messages];
+  const state = { sources: [], searches: 0 };
+  let reply = "";
+
+  for (let round = 0; ; round += 1) {
+    let content = "";
+    let toolCalls = [];
+
+    for await (const event of streamChat({
+      ...request,
+      messages,
+      ...toolParams(round),
+    })) {
+      if (event.type === "text") {
+        content += event.text;
+        onToken(event.text);
+      } else if (event.type === "tool_calls") {
+        toolCalls = event.toolCalls;
+      }
+    }
+
+    reply += content;
+
+    if (!toolCalls.length || round >= MAX_TOOL_ROUNDS) {
+      return { reply, sources: finalizeSources(state.sources, reply) };
+    }
+
+    messages.push({ role: "assistant", content: content || null, toolCalls });
+    messages.push(...(await runToolCalls(toolCalls, state)));
+  }
+}
+
+module.exports = {
+  WEB_SEARCH_TOOL,
+  webSearchInstructions,
+  completeWithWebSearch,
+  streamWithWebSearch,
+};
@@ -0,0 +1,257 @@
+// lib/exerbudWorkoutPlan.js
+// Structured workout plans for workflow "fitness_plan".
+// The chat reply stays free text; this parses it into weeks → days →
+// exercises and stores it as the user's active WorkoutPlan.
+
+const { isLlmEnabled, chatJson } = require("./exerbudLlm");
+const prisma = require("./prisma");
+
+const PLAN_SCHEMA_VERSION = 1;
+
+const STRING_OR_NULL = { type: ["string", "null"] };
+const NUMBER_OR_NULL = { type: ["number", "null"] };
+
+const PLAN_JSON_SCHEMA = {
+  name: "workout_plan",
+  strict: true,
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    required: ["isPlan", "title", "notes", "weeks"],
+    properties: {
+      isPlan: { type: "boolean" },
+      title: { type: "string" },
+      notes: STRING_OR_NULL,
+      weeks: {
+        type: "array",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          required: ["week", "days"],
+          properties: {
+            week: { type: "number" },
+            days: {
+              type: "array",
+              items: {
+                type: "object",
+                additionalProperties: false,
+                required: ["day", "name", "focus", "exercises"],
+                properties: {
+                  day: { type: "number" },
+                  name: { type: "string" },
+                  focus: STRING_OR_NULL,
+                  exercises: {
+                    type: "array",
+                    items: {
+                      type: "object",
+                      additionalProperties: false,
+                      required: ["name", "sets", "reps", "load", "rpe", "restSeconds", "notes"],
+                      properties: {
+                        name: { type: "string" },
+                        sets: NUMBER_OR_NULL,
+                        reps: STRING_OR_NULL,
+                        load: STRING_OR_NULL,
+                        rpe: NUMBER_OR_NULL,
+                        restSeconds: NUMBER_OR_NULL,
+                        notes: STRING_OR_NULL,
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+function cleanString(value, max = 200) {
+  if (typeof value !== "string" && typeof value !== "number") return null;
+  const s = String(value).trim();
+  return s ? s.slice(0, max) : null;
+}
+
+function cleanNumber(value, { min = 0, max = 10000 } = {}) {
+  const n = typeof value === "number" ? value : parseFloat(value);
+  if (!Number.isFinite(n) || n < min || n > max) return null;
+  return Math.round(n * 10) / 10;
+}
+
+/**
+ * Validate + normalise a raw plan. Every day gets a stable id
+ * ("w1d2") so workout sessions can link to it; if the model repeats a
+ * week / day number, every id falls back to its position so ids stay
+ * unique. Returns null if the plan has no exercises at all.
+ */
+function normalizePlan(raw) {
+  if (!raw || !Array.isArray(raw.weeks)) return null;
+
+  const weeks = raw.weeks.slice(0, 16).map((w, wi) => {
+    const week = cleanNumber(w && w.week, { min: 1, max: 52 }) || wi + 1;
+    const days = (Array.isArray(w && w.days) ? w.days : [])
+      .slice(0, 7)
+      .map((d, di) => {
+        const day = cleanNumber(d && d.day, { min: 1, max: 7 }) || di + 1;
+        const exercises = (Array.isArray(d && d.exercises) ? d.exercises : [])
+          .filter((e) => e && cleanString(e.name))
+          .slice(0, 20)
+          .map((e) => ({
+            name: cleanString(e.name, 120),
+            sets: cleanNumber(e.sets, { min: 1, max: 20 }),
+            reps: cleanString(e.reps, 40),
+            load: cleanString(e.load, 60),
+            rpe: cleanNumber(e.rpe, { min: 1, max: 10 }),
+            restSeconds: cleanNumber(e.restSeconds, { min: 0, max: 900 }),
+            notes: cleanString(e.notes),
+          }));
+
+        return {
+          id: `w${week}d${day}`,
+          positionId: `w${wi + 1}d${di + 1}`,
+          day,
+          name: cleanString(d && d.name, 80) || `Day ${day}`,
+          focus: cleanString(d && d.focus, 80),
+          exercises,
+        };
+      })
+      .filter((d) => d.exercises.length);
+
+    return { week, days };
+  }).filter((w) => w.days.length);
+
+  if (!weeks.length) return null;
+
+  const days = weeks.flatMap((w) => w.days);
+  const unique = new Set(days.map((d) => d.id)).size === days.length;
+  days.forEach((d) => {
+    if (!unique) d.id = d.positionId;
+    delete d.positionId;
+  });
+
+  return {
+    schemaVersion: PLAN_SCHEMA_VERSION,
+    title: cleanString(raw.title, 120) || "Workout plan",
+    notes: cleanString(raw.notes, 1000),
+    weeks,
+  };
+}
+
+/**
+ * Parse a fitness_plan reply into a structured plan.
+ * Returns null when the reply isn't actually a program (e.g. the coach
+ * asked follow-up questions first) or on any failure.
+ */
+async function extractWorkoutPlan({ userMessage, reply }) {
+  if (!isLlmEnabled() || !reply) return null;
+
+  try {
+    const raw = await chatJson({
+      task: "plan_extract",
+      temperature: 0,
+      maxTokens: 3000,
+      schema: PLAN_JSON_SCHEMA,
+      messages: [
+        {
+          role: "system",
+          content:
+            "Convert a coach's workout program into structured data. " +
+            "isPlan is false if the text is not a concrete program (e.g. only questions or general tips). " +
+            "If the program describes one repeating week, return a single week. " +
+            "reps is text (e.g. \"8-10\", \"AMRAP\", \"30s\"); load is text (e.g. \"70% 1RM\", \"bodyweight\"); " +
+            "restSeconds is a number of seconds; use null when not stated.",
+        },
+        {
+          role: "user",
+          content: `User request: ${String(userMessage || "").slice(
+            0,
+            800
+          )}\n\nCoach program:\n${String(reply).slice(0, 8000)}`,
+        },
+      ],
+    });
+
+    if (!raw.isPlan) return null;
+    return normalizePlan(raw);
+  } catch (err) {
+    console.error(
+      "[Exerbud] Workout plan extraction failed:",
+      err && err.message ? err.message : err
+    );
+    return null;
+  }
+}
+
+/**
+ * Store a plan as the user's active plan (older active plans are archived).
+ */
+async function saveActivePlan({ userId, conversationId, messageId, plan }) {
+  const [, created] = await prisma.$transaction([
+    prisma.workoutPlan.updateMany({
+      where: { userId, status: "active" },
+      data: { status: "archived" },
+    }),
+    prisma.workoutPlan.create({
+      data: {
+        userId,
+        conversationId: conversationId || null,
+        messageId: messageId || null,
+        title: plan.title,
+        notes: plan.notes,
+        schemaVersion: plan.schemaVersion,
+        weeks: plan.weeks,
+      },
+    }),
+  ]);
+
+  return created;
+}
+
+/**
+ * Best-effort: parse + store a plan for this exchange. Returns the saved
+ * WorkoutPlan row, or null.
+ */
+async function captureWorkoutPlan({
+  userId,
+  conversationId,
+  messageId,
+  userMessage,
+  reply,
+}) {
+  const plan = await extractWorkoutPlan({ userMessage, reply });
+  if (!plan) return null;
+
+  try {
+    return await saveActivePlan({ userId, conversationId, messageId, plan });
+  } catch (err) {
+    console.error(
+      "[Exerbud] Failed to save workout plan:",
+      err && err.message ? err.message : err
+    );
+    return null;
+  }
+}
+
+function serializePlan(plan) {
+  if (!plan) return null;
+  return {
+    id: plan.id,
+    title: plan.title,
+    status: plan.status,
+    notes: plan.notes,
+    schemaVersion: plan.schemaVersion,
+    weeks: plan.weeks,
+    conversationId: plan.conversationId,
+    messageId: plan.messageId,
+    createdAt: new Date(plan.createdAt).toISOString(),
+  };
+}
+
+module.exports = {
+  PLAN_SCHEMA_VERSION,
+  normalizePlan,
+  extractWorkoutPlan,
+  captureWorkoutPlan,
+  serializePlan,
+};
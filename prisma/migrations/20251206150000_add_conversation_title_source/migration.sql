@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Conversation" ADD COLUMN     "titleSetByUser" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "BodyMetricSource" AS ENUM ('manual', 'body_scan');
+
+-- CreateTable
+CREATE TABLE "BodyMetric" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "conversationId" TEXT,
+    "messageId" TEXT,
+    "source" "BodyMetricSource" NOT NULL DEFAULT 'manual',
+    "measuredAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "weight" DOUBLE PRECISION,
+    "bodyFatPct" DOUBLE PRECISION,
+    "waist" DOUBLE PRECISION,
+    "hip" DOUBLE PRECISION,
+    "chest" DOUBLE PRECISION,
+    "arm" DOUBLE PRECISION,
+    "weightUnit" TEXT NOT NULL DEFAULT 'kg',
+    "lengthUnit" TEXT NOT NULL DEFAULT 'cm',
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BodyMetric_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BodyMetric_userId_measuredAt_idx" ON "BodyMetric"("userId", "measuredAt");
+
+-- AddForeignKey
+ALTER TABLE "BodyMetric" ADD CONSTRAINT "BodyMetric_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BodyMetric" ADD CONSTRAINT "BodyMetric_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BodyMetric" ADD CONSTRAINT "BodyMetric_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "Message"("id") ON DELETE SET NULL ON UPDATE CASCADE;
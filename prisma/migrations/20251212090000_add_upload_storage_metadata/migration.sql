@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "Upload" ADD COLUMN     "height" INTEGER,
+ADD COLUMN     "sha256" TEXT,
+ADD COLUMN     "sizeBytes" INTEGER,
+ADD COLUMN     "storage" TEXT,
+ADD COLUMN     "storageKey" TEXT,
+ADD COLUMN     "thumbnailKey" TEXT,
+ADD COLUMN     "thumbnailUrl" TEXT,
+ADD COLUMN     "width" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Upload_storageKey_idx" ON "Upload"("storageKey");
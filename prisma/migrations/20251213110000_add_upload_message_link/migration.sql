@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Upload" ADD COLUMN     "messageId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Upload_userId_createdAt_idx" ON "Upload"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "Upload" ADD CONSTRAINT "Upload_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "Message"("id") ON DELETE SET NULL ON UPDATE CASCADE;
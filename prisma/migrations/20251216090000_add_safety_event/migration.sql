@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "SafetyEvent" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "conversationId" TEXT,
+    "messageId" TEXT,
+    "categories" TEXT[],
+    "action" TEXT NOT NULL,
+    "matches" JSONB NOT NULL,
+    "userExcerpt" TEXT,
+    "imageDescription" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SafetyEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SafetyEvent_createdAt_idx" ON "SafetyEvent"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "SafetyEvent_userId_createdAt_idx" ON "SafetyEvent"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "SafetyEvent" ADD CONSTRAINT "SafetyEvent_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SafetyEvent" ADD CONSTRAINT "SafetyEvent_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SafetyEvent" ADD CONSTRAINT "SafetyEvent_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "Message"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,10 @@
+-- Backfill: threads saved by /api/exerbud-ai never set lastMessageAt
+UPDATE "Conversation" c
+SET "lastMessageAt" = m."lastCreatedAt"
+FROM (
+  SELECT "conversationId", MAX("createdAt") AS "lastCreatedAt"
+  FROM "Message"
+  GROUP BY "conversationId"
+) m
+WHERE m."conversationId" = c."id"
+  AND c."lastMessageAt" IS NULL;
@@ -0,0 +1,103 @@
+// scripts/backfill-upload-storage.js
+// Moves legacy Upload rows whose `url` is a full base64 data: URL into
+// blob storage (original + thumbnail) and rewrites the row to the URLs.
+//
+// Usage:
+//   node scripts/backfill-upload-storage.js [--dry-run] [--batch=50]
+//
+// Safe to re-run: only rows that still have a data: URL are touched, and
+// storage keys are content hashes so a retried upload overwrites itself.
+
+const prisma = require("../lib/prisma");
+const { parseDataUrl, storeFile, getStorageAdapter } = require("../lib/exerbudStorage");
+
+function parseArgs(argv) {
+  const args = { dryRun: false, batch: 50 };
+  argv.forEach((arg) => {
+    if (arg === "--dry-run") args.dryRun = true;
+    const batch = /^--batch=(\d+)$/.exec(arg);
+    if (batch) args.batch = Math.max(1, parseInt(batch[1], 10));
+  });
+  return args;
+}
+
+async function main() {
+  const { dryRun, batch } = parseArgs(process.argv.slice(2));
+  const adapter = getStorageAdapter();
+
+  console.log(
+    `[backfill] storage=${adapter.name} batch=${batch}${dryRun ? " (dry run)" : ""}`
+  );
+
+  let cursor = null;
+  let migrated = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  for (;;) {
+    const rows = await prisma.upload.findMany({
+      where: { url: { startsWith: "data:" } },
+      orderBy: { id: "asc" },
+      take: batch,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+      select: { id: true, userId: true, url: true, type: true },
+    });
+
+    if (!rows.length) break;
+    cursor = rows[rows.length - 1].id;
+
+    for (const row of rows) {
+      const parsed = parseDataUrl(row.url);
+      if (!parsed || !parsed.buffer.length) {
+        console.warn(`[backfill] ${row.id}: not a base64 data URL, skipping`);
+        skipped += 1;
+        continue;
+      }
+
+      if (dryRun) {
+        console.log(
+          `[backfill] ${row.id}: would move ${parsed.buffer.length} bytes (${parsed.mime})`
+        );
+        migrated += 1;
+        continue;
+      }
+
+      try {
+        const stored = await storeFile({
+          userId: row.userId,
+          buffer: parsed.buffer,
+          mime: row.type || parsed.mime,
+          adapter,
+        });
+
+        // Only rewrite if nobody else already did (concurrent run)
+        await prisma.upload.updateMany({
+          where: { id: row.id, url: { startsWith: "data:" } },
+          data: stored,
+        });
+
+        migrated += 1;
+        console.log(`[backfill] ${row.id}: moved to ${stored.url}`);
+      } catch (err) {
+        failed += 1;
+        console.error(
+          `[backfill] ${row.id}: failed:`,
+          err && err.message ? err.message : err
+        );
+      }
+    }
+  }
+
+  console.log(
+    `[backfill] done: migrated=${migrated} skipped=${skipped} failed=${failed}`
+  );
+
+  await prisma.$disconnect();
+  if (failed) process.exitCode = 1;
+}
+
+main().catch(async (err) => {
+  console.error("[backfill] fatal:", err);
+  await prisma.$disconnect().catch(() => {});
+  process.exit(1);
+});